@@ -0,0 +1,23 @@
+// Built-in element types the reconciler treats specially
+import Either from '../types/either.js';
+
+// Groups children without adding a wrapper element
+const Fragment = ({ children }) => children;
+
+// Renders its children into props.container instead of in place.
+// The reconciler does the work; only a placeholder stays in the parent.
+const Portal = () => null;
+
+const isFragmentType = type => type === Fragment;
+const isPortalType = type => type === Portal;
+
+// Plain function components, as opposed to the built-ins above
+const isComponentType = type => typeof type === 'function' && !isFragmentType(type) && !isPortalType(type);
+
+// Portal targets must be real containers; anything else is reported through Either
+const validatePortalContainer = container =>
+    container && typeof container.appendChild === 'function' && typeof container.nodeType === 'number'
+        ? Either.Right(container)
+        : Either.Left('Portal requires a container element');
+
+export { Fragment, Portal, isFragmentType, isPortalType, isComponentType, validatePortalContainer };
@@ -0,0 +1,41 @@
+// Runtime configuration: development mode turns on checks that production skips
+
+// globalThis.FLEXNET_ENV ('development' | 'production') wins; otherwise local hosts count as development
+const detectDevelopment = () => {
+    const env = globalThis.FLEXNET_ENV;
+    if (env === 'development' || env === 'production') {
+        return env === 'development';
+    }
+    const hostname = typeof location !== 'undefined' ? location.hostname : '';
+    return hostname === 'localhost' || hostname === '127.0.0.1';
+};
+
+// Developer switches in the page URL, e.g. ?debug=1
+const queryFlag = (name) => {
+    const search = typeof location !== 'undefined' ? location.search : '';
+    return new URLSearchParams(search).get(name) === '1';
+};
+
+const runtimeConfig = {
+    development: detectDevelopment(),
+    // ?debug=1, or globalThis.FLEXNET_DEBUG = true, turns on diagnostics
+    diagnostics: globalThis.FLEXNET_DEBUG === true || queryFlag('debug'),
+    // ?inspect=1 shows the component tree inspector
+    inspector: queryFlag('inspect')
+};
+
+// Diagnostics need the development checks, so turning them on implies development
+const isDevelopment = () => runtimeConfig.development || runtimeConfig.diagnostics;
+
+const isDiagnosticsEnabled = () => runtimeConfig.diagnostics;
+
+const isInspectorEnabled = () => runtimeConfig.inspector;
+
+// Override detected settings, e.g. configureRuntime({ development: false }) in tests
+// or configureRuntime({ diagnostics: true, inspector: true }) without the URL switches
+const configureRuntime = (options = {}) => {
+    Object.assign(runtimeConfig, options);
+    return { ...runtimeConfig };
+};
+
+export { isDevelopment, isDiagnosticsEnabled, isInspectorEnabled, configureRuntime };
@@ -0,0 +1,59 @@
+// Development diagnostics: problems the runtime recovers from quietly (inline child errors,
+// invalid elements, dropped props) are collected with the component stack they happened under.
+// Nothing is collected unless diagnostics are enabled (see config.js).
+import { isDiagnosticsEnabled } from './config.js';
+import { currentOwner } from '../../systems/render/hooks.js';
+
+// Oldest entries are dropped past this many
+const maxDiagnostics = 100;
+
+let diagnostics = [];
+let nextId = 1;
+const listeners = new Set();
+
+const componentName = type => type.displayName || type.name || 'anonymous';
+
+// Names of the components enclosing an instance, innermost first
+const componentStack = (instance) => {
+    const names = [];
+    for (let owner = instance; owner; owner = owner.parent) {
+        if (owner.vnode && typeof owner.vnode.type === 'function') {
+            names.push(componentName(owner.vnode.type));
+        }
+    }
+    return names;
+};
+
+const messageOf = problem => (problem && problem.message) || String(problem);
+
+// Record a problem under the component currently rendering or being diffed; errors thrown
+// by a component carry their own componentStack, taken before the stack unwound.
+// kind names the problem: 'child-error', 'invalid-element', 'invalid-props', 'dropped-prop', ...
+const reportDiagnostic = (kind, problem, detail = '') => {
+    if (!isDiagnosticsEnabled()) return;
+    const entry = {
+        id: nextId++,
+        kind,
+        message: messageOf(problem),
+        detail,
+        componentStack: (problem && problem.componentStack) || componentStack(currentOwner()),
+        time: Date.now()
+    };
+    diagnostics = [...diagnostics, entry].slice(-maxDiagnostics);
+    listeners.forEach(listener => listener(diagnostics));
+};
+
+const getDiagnostics = () => diagnostics;
+
+const clearDiagnostics = () => {
+    diagnostics = [];
+    listeners.forEach(listener => listener(diagnostics));
+};
+
+// listener(entries) runs after every report and clear; returns an unsubscribe function
+const subscribeDiagnostics = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export { reportDiagnostic, getDiagnostics, clearDiagnostics, subscribeDiagnostics, componentStack };
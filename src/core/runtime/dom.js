@@ -0,0 +1,162 @@
+// Low-level DOM operations shared by the JSX runtime and the reconciler
+import Either from '../types/either.js';
+import { encodeText, encodeAttribute } from '../security/functions.js';
+import { logSafeError } from './helpers.js';
+import { setEventHandler, removeEventHandler, clearEventHandlers } from './events.js';
+import { serializeStyle, stylesEqual } from './style.js';
+import { namespaces, describeProp, toAttributeValue, attributeNamespace, isOptionDependentProp } from './props.js';
+import { reportDiagnostic } from './diagnostics.js';
+
+// Helper to create text nodes; their content is never parsed as markup
+const createTextNode = (text) => {
+    try {
+        return document.createTextNode(encodeText(text));
+    } catch (error) {
+        logSafeError('createTextNode', error, `Input text type: ${typeof text}, value: ${text}`);
+        return document.createTextNode('[Text Error]');
+    }
+};
+
+// Create an element in its namespace; HTML keeps the plain createElement path
+const createElementIn = (type, namespace) =>
+    namespace && namespace !== namespaces.html
+        ? document.createElementNS(namespace, type)
+        : document.createElement(type);
+
+// Namespace an existing element was created in, for prop name resolution
+const namespaceOf = domElement => domElement.namespaceURI || namespaces.html;
+
+// Resolve a prop to the attribute it writes; Right(null) means no attribute.
+// Shared by DOM patching and string rendering so both follow the same rules.
+const resolveAttribute = (name, value, namespace = namespaces.html) => {
+    const descriptor = describeProp(name, value, namespace);
+    if (descriptor.kind === 'reserved' || descriptor.kind === 'event' || !descriptor.attribute) {
+        return Either.Right(null);
+    }
+    if (descriptor.kind === 'style') {
+        // Objects and strings both go through the validating serializer
+        return serializeStyle(value).map(css => css ? { name: 'style', value: css } : null);
+    }
+
+    const attributeValue = toAttributeValue(descriptor.attribute, value);
+    if (attributeValue === null) {
+        return Either.Right(null);
+    }
+    // Regular attributes - encoded for the attribute context
+    return encodeAttribute(descriptor.attribute, attributeValue)
+        .map(encoded => ({
+            name: descriptor.attribute,
+            value: encoded,
+            namespace: attributeNamespace(descriptor.attribute)
+        }));
+};
+
+// Form control state is written to the live property so it tracks user input
+const setLiveProperty = (domElement, descriptor, value) => {
+    if (!(descriptor.property in domElement)) {
+        return false;
+    }
+    const next = descriptor.coerce(value);
+    if (domElement[descriptor.property] !== next) {
+        domElement[descriptor.property] = next;
+    }
+    return true;
+};
+
+// Functions and plain objects given to an attribute prop are dropped instead of written
+const hasNoAttributeForm = (descriptor, value) =>
+    descriptor.kind === 'attribute' && value !== null && (typeof value === 'object' || typeof value === 'function');
+
+// Write a single prop to a DOM element
+const setProp = (domElement, name, value, elementType) => {
+    const namespace = namespaceOf(domElement);
+    const descriptor = describeProp(name, value, namespace);
+    if (descriptor.kind === 'reserved') {
+        return;
+    }
+    if (descriptor.kind === 'event') {
+        // Event handlers - registered for delegation from the root container
+        setEventHandler(domElement, name, value);
+        return;
+    }
+    if (descriptor.kind === 'property' && setLiveProperty(domElement, descriptor, value)) {
+        return;
+    }
+    resolveAttribute(name, value, namespace).fold(
+        error => {
+            domElement.removeAttribute(descriptor.attribute);
+            logSafeError('setAttribute', error, `Attribute: ${name}, Element: ${elementType}`);
+            reportDiagnostic('blocked-attribute', error, `<${elementType}> prop "${name}"`);
+        },
+        attribute => {
+            if (!attribute) {
+                descriptor.attribute && domElement.removeAttribute(descriptor.attribute);
+                if (hasNoAttributeForm(descriptor, value)) {
+                    reportDiagnostic('dropped-prop', `<${elementType}> prop "${name}" is ${typeof value === 'function' ? 'a function' : 'an object'} and has no attribute form`);
+                }
+            } else if (attribute.namespace) {
+                domElement.setAttributeNS(attribute.namespace, attribute.name, attribute.value);
+            } else {
+                domElement.setAttribute(attribute.name, attribute.value);
+            }
+        }
+    );
+};
+
+// Undo a prop that is no longer present
+const removeProp = (domElement, name, oldValue) => {
+    const descriptor = describeProp(name, oldValue, namespaceOf(domElement));
+    if (descriptor.kind === 'event') {
+        removeEventHandler(domElement, name);
+    } else if (descriptor.kind === 'property' && setLiveProperty(domElement, descriptor, null)) {
+        return;
+    } else if (descriptor.attribute) {
+        domElement.removeAttribute(descriptor.attribute);
+    }
+};
+
+// Apply only the props that differ between two renders, limited to the names include accepts
+const patchProps = (domElement, oldProps, newProps, elementType, include) => {
+    const previous = oldProps || {};
+    const next = newProps || {};
+
+    Object.keys(previous).forEach(name => {
+        if (include(name) && !(name in next)) {
+            try {
+                removeProp(domElement, name, previous[name]);
+            } catch (error) {
+                logSafeError('removeAttribute', error, `Attribute: ${name}, Element: ${elementType}`);
+            }
+        }
+    });
+
+    Object.entries(next).forEach(([name, value]) => {
+        if (!include(name)) {
+            return;
+        }
+        // Live properties are compared against the DOM, which user input may have changed
+        const unchanged = describeProp(name, value).kind !== 'property' &&
+            (previous[name] === value || (name === 'style' && name in previous && stylesEqual(previous[name], value)));
+        if (unchanged) {
+            return;
+        }
+        try {
+            if (name in previous && describeProp(name, previous[name]).kind !== describeProp(name, value).kind) {
+                removeProp(domElement, name, previous[name]);
+            }
+            setProp(domElement, name, value, elementType);
+        } catch (error) {
+            logSafeError('setAttribute', error, `Attribute: ${name}, Value: ${value}, Element: ${elementType}`);
+        }
+    });
+};
+
+// Props applied before the children are diffed; a <select>'s value waits for its options
+const updateProps = (domElement, oldProps, newProps, elementType) =>
+    patchProps(domElement, oldProps, newProps, elementType, name => !isOptionDependentProp(elementType, name));
+
+// Props applied once the children are in place (see isOptionDependentProp)
+const updateOptionProps = (domElement, oldProps, newProps, elementType) =>
+    patchProps(domElement, oldProps, newProps, elementType, name => isOptionDependentProp(elementType, name));
+
+export { createTextNode, createElementIn, resolveAttribute, setProp, removeProp, updateProps, updateOptionProps, clearEventHandlers };
@@ -0,0 +1,182 @@
+// Delegated event system: one native listener per event type on each root container
+import Result from '../types/result.js';
+import { logSafeError } from './helpers.js';
+
+// Handlers registered on each DOM node, keyed by `${type}:${phase}`
+const handlerRegistry = new WeakMap();
+
+// Root containers, keyed to the renders and portals that use them and the native
+// listeners attached for each event type
+const roots = new Map();
+const knownEventTypes = new Set();
+
+// Native events already dispatched, so nested roots don't run handlers twice
+const dispatched = new WeakMap();
+
+// Events that never reach the root in the bubble phase; handled from the capture listener
+const nonBubblingEvents = new Set([
+    'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+    'load', 'error', 'abort', 'scroll', 'toggle', 'invalid',
+    'play', 'pause', 'ended', 'canplay', 'loadeddata', 'loadstart'
+]);
+
+const eventAliases = { doubleclick: 'dblclick' };
+
+// onClick -> { type: 'click', capture: false }, onClickCapture -> { type: 'click', capture: true }
+const parseEventProp = name => {
+    const capture = name.endsWith('Capture');
+    const base = (capture ? name.slice(0, -'Capture'.length) : name).substring(2).toLowerCase();
+    return { type: eventAliases[base] || base, capture };
+};
+
+const handlerKey = (type, capture) => `${type}:${capture ? 'capture' : 'bubble'}`;
+
+// Synthetic event: native properties pass through, propagation is tracked per dispatch
+const createSyntheticEvent = (nativeEvent, state) => {
+    const overrides = {
+        nativeEvent,
+        stopPropagation: () => {
+            state.propagationStopped = true;
+            nativeEvent.stopPropagation();
+        },
+        stopImmediatePropagation: () => {
+            state.propagationStopped = true;
+            nativeEvent.stopImmediatePropagation();
+        },
+        preventDefault: () => nativeEvent.preventDefault(),
+        isPropagationStopped: () => state.propagationStopped,
+        isDefaultPrevented: () => nativeEvent.defaultPrevented
+    };
+
+    return new Proxy(overrides, {
+        get: (target, property) => {
+            if (property === 'currentTarget') return state.currentTarget;
+            if (property in target) return target[property];
+            const value = nativeEvent[property];
+            return typeof value === 'function' ? value.bind(nativeEvent) : value;
+        }
+    });
+};
+
+// Nodes from the target up to the document root
+const propagationPath = target => {
+    const path = [];
+    for (let node = target; node; node = node.parentNode) {
+        path.push(node);
+    }
+    return path;
+};
+
+const invokeHandler = (node, key, syntheticEvent, state) => {
+    const handlers = handlerRegistry.get(node);
+    const handler = handlers && handlers.get(key);
+    if (!handler) return;
+
+    state.currentTarget = node;
+    // Wrap event handler in error boundary
+    const handlerResult = Result.fromTry(() => handler(syntheticEvent));
+    if (Result.isError(handlerResult)) {
+        logSafeError('eventHandler', handlerResult.error, `Event: ${syntheticEvent.type}, Element: ${node.nodeName}`);
+    }
+};
+
+const dispatchPhase = (nativeEvent, capture) => {
+    const record = dispatched.get(nativeEvent) || {
+        state: { propagationStopped: false, currentTarget: null },
+        capture: false,
+        bubble: false
+    };
+    dispatched.set(nativeEvent, record);
+
+    const phase = capture ? 'capture' : 'bubble';
+    if (record[phase] || record.state.propagationStopped) return;
+    record[phase] = true;
+
+    const { state } = record;
+    const syntheticEvent = record.syntheticEvent || createSyntheticEvent(nativeEvent, state);
+    record.syntheticEvent = syntheticEvent;
+    const path = propagationPath(nativeEvent.target);
+
+    if (capture) {
+        const key = handlerKey(nativeEvent.type, true);
+        for (const node of [...path].reverse()) {
+            invokeHandler(node, key, syntheticEvent, state);
+            if (state.propagationStopped) return;
+        }
+        // Non-bubbling events only ever reach their own target
+        if (nonBubblingEvents.has(nativeEvent.type)) {
+            invokeHandler(nativeEvent.target, handlerKey(nativeEvent.type, false), syntheticEvent, state);
+        }
+        return;
+    }
+
+    const key = handlerKey(nativeEvent.type, false);
+    for (const node of path) {
+        invokeHandler(node, key, syntheticEvent, state);
+        if (state.propagationStopped) return;
+    }
+};
+
+const listenOnRoot = (root, type) => {
+    const { listeners } = roots.get(root);
+    if (listeners.has(type)) return;
+    const capture = event => dispatchPhase(event, true);
+    const bubble = nonBubblingEvents.has(type) ? null : event => dispatchPhase(event, false);
+    listeners.set(type, { capture, bubble });
+    root.addEventListener(type, capture, true);
+    if (bubble) {
+        root.addEventListener(type, bubble, false);
+    }
+};
+
+// Make a container dispatch delegated events for everything rendered inside it.
+// owner is the render or portal using the container; the same owner registers once.
+const registerRoot = (root, owner = root) => {
+    if (!roots.has(root)) {
+        roots.set(root, { owners: new Set(), listeners: new Map() });
+    }
+    roots.get(root).owners.add(owner);
+    knownEventTypes.forEach(type => listenOnRoot(root, type));
+};
+
+// Release a container for owner; once nothing uses it, its native listeners are removed
+const unregisterRoot = (root, owner = root) => {
+    const entry = roots.get(root);
+    if (!entry) return;
+    entry.owners.delete(owner);
+    if (entry.owners.size > 0) return;
+    entry.listeners.forEach(({ capture, bubble }, type) => {
+        root.removeEventListener(type, capture, true);
+        if (bubble) {
+            root.removeEventListener(type, bubble, false);
+        }
+    });
+    roots.delete(root);
+};
+
+const setEventHandler = (node, propName, handler) => {
+    const { type, capture } = parseEventProp(propName);
+    const handlers = handlerRegistry.get(node) || new Map();
+    handlerRegistry.set(node, handlers);
+    handlers.set(handlerKey(type, capture), handler);
+
+    if (!knownEventTypes.has(type)) {
+        knownEventTypes.add(type);
+        roots.forEach((_, root) => listenOnRoot(root, type));
+    }
+};
+
+const removeEventHandler = (node, propName) => {
+    const { type, capture } = parseEventProp(propName);
+    const handlers = handlerRegistry.get(node);
+    if (handlers) {
+        handlers.delete(handlerKey(type, capture));
+    }
+};
+
+// Drop every handler registered on a node that is leaving the tree
+const clearEventHandlers = (node) => {
+    handlerRegistry.delete(node);
+};
+
+export { registerRoot, unregisterRoot, setEventHandler, removeEventHandler, clearEventHandlers };
@@ -0,0 +1,14 @@
+// Shared safety helpers for the JSX runtime
+
+// Enhanced error logging with more context
+const logSafeError = (context, error, additionalInfo = '') => {
+    const timestamp = new Date().toISOString();
+    const errorMessage = error && error.message ? error.message : String(error);
+    const contextInfo = additionalInfo ? ` | Additional Info: ${additionalInfo}` : '';
+    console.error(`[${timestamp}] FlexNet JSX Error in ${context}: ${errorMessage}${contextInfo}`);
+    if (error && error.stack) {
+        console.error('Stack trace:', error.stack);
+    }
+};
+
+export { logSafeError };
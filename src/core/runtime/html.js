@@ -0,0 +1,213 @@
+// Tagged-template authoring: html`<section class=${c}>...</section>` builds the same
+// element trees as createElement without a JSX compiler
+import Either from '../types/either.js';
+import { logSafeError } from './helpers.js';
+import { createElement } from './jsx.js';
+import { Fragment } from './builtins.js';
+
+// Parsed templates keyed by their strings array, which is unique per call site
+const templateCache = new WeakMap();
+
+// Elements that never have children, so they may be written without a closing tag
+const voidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', copy: '©', mdash: '—', ndash: '–' };
+
+// Static template text is markup, so its entities are decoded; interpolated values never are
+const decodeEntities = text =>
+    text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, body) => {
+        if (body[0] === '#') {
+            const codePoint = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD';
+        }
+        return namedEntities[body] !== undefined ? namedEntities[body] : entity;
+    });
+
+// JSX whitespace rules: lines are joined with a single space, indentation-only text disappears
+const normalizeText = text =>
+    text.replace(/^\s*\n\s*|\s*\n\s*$/g, '').replace(/\s*\n\s*/g, ' ');
+
+const isNameChar = char => typeof char === 'string' && /[a-zA-Z0-9\-_:.]/.test(char);
+const isSpace = char => typeof char === 'string' && /\s/.test(char);
+const isSlot = token => typeof token === 'object';
+
+// Parse a template into a tree of element, text and slot nodes.
+// The input is a list of characters with { slot: i } markers where values go.
+const parseTemplate = (strings) => {
+    const input = strings.flatMap((part, index) =>
+        index < strings.length - 1 ? [...part, { slot: index }] : [...part]);
+    let pos = 0;
+
+    const fail = message => { throw new Error(`${message} at position ${pos}`); };
+    const startsWith = text => [...text].every((char, offset) => input[pos + offset] === char);
+    const skipSpace = () => { while (isSpace(input[pos])) pos++; };
+    const expect = text => startsWith(text) ? (pos += text.length) : fail(`Expected "${text}"`);
+
+    const readName = () => {
+        const start = pos;
+        while (isNameChar(input[pos])) pos++;
+        return pos > start ? input.slice(start, pos).join('') : fail('Expected a name');
+    };
+
+    // Attribute value parts: static strings and slot markers, in order
+    const readValue = () => {
+        if (isSlot(input[pos])) {
+            return [input[pos++]];
+        }
+        const quote = input[pos] === '"' || input[pos] === "'" ? input[pos++] : null;
+        const parts = [];
+        let text = '';
+        while (pos < input.length) {
+            const token = input[pos];
+            if (quote ? token === quote : isSpace(token) || token === '>' || startsWith('/>')) break;
+            if (isSlot(token)) {
+                parts.push(decodeEntities(text), token);
+                text = '';
+            } else {
+                text += token;
+            }
+            pos++;
+        }
+        if (quote) expect(quote);
+        return [...parts, decodeEntities(text)].filter(part => part !== '');
+    };
+
+    const parseElement = () => {
+        expect('<');
+        const tag = isSlot(input[pos]) ? input[pos++] : readName();
+        const attributes = [];
+
+        for (;;) {
+            skipSpace();
+            if (pos >= input.length) fail('Unterminated tag');
+            if (startsWith('/>')) {
+                pos += 2;
+                return { kind: 'element', tag, attributes, children: [] };
+            }
+            if (input[pos] === '>') {
+                pos++;
+                break;
+            }
+            if (startsWith('...')) {
+                pos += 3;
+                if (!isSlot(input[pos])) fail('Spread attributes need an interpolated object');
+                attributes.push({ spread: input[pos++] });
+                continue;
+            }
+            const name = readName();
+            skipSpace();
+            if (input[pos] === '=') {
+                pos++;
+                skipSpace();
+                attributes.push({ name, value: readValue() });
+            } else {
+                attributes.push({ name, value: true });
+            }
+        }
+
+        if (typeof tag === 'string' && voidElements.has(tag.toLowerCase())) {
+            return { kind: 'element', tag, attributes, children: [] };
+        }
+
+        const children = parseNodes();
+        expect('</');
+        let closing = null;
+        if (isSlot(input[pos])) {
+            closing = input[pos++];
+        } else if (input[pos] !== '/') {
+            const name = readName();
+            if (name !== tag) fail(`Closing tag </${name}> does not match <${isSlot(tag) ? 'component' : tag}>`);
+        } else {
+            // <//> closes whatever is open
+            pos++;
+        }
+        skipSpace();
+        expect('>');
+        return { kind: 'element', tag, attributes, children, closing };
+    };
+
+    const parseNodes = () => {
+        const nodes = [];
+        while (pos < input.length && !startsWith('</')) {
+            if (startsWith('<!--')) {
+                while (pos < input.length && !startsWith('-->')) pos++;
+                expect('-->');
+            } else if (input[pos] === '<') {
+                nodes.push(parseElement());
+            } else if (isSlot(input[pos])) {
+                nodes.push({ kind: 'slot', slot: input[pos++] });
+            } else {
+                let text = '';
+                while (pos < input.length && typeof input[pos] === 'string' && input[pos] !== '<') {
+                    text += input[pos++];
+                }
+                const normalized = normalizeText(text);
+                if (normalized) {
+                    nodes.push({ kind: 'text', value: decodeEntities(normalized) });
+                }
+            }
+        }
+        return nodes;
+    };
+
+    const roots = parseNodes();
+    if (pos < input.length) fail('Unexpected closing tag');
+    return roots;
+};
+
+const slotValue = (values, token) => values[token.slot];
+
+// A single interpolation keeps its raw value (functions, objects); mixed parts become a string
+const evaluateAttribute = (values, value) => {
+    if (value === true) return true;
+    if (value.length === 1 && isSlot(value[0])) return slotValue(values, value[0]);
+    return value.map(part => isSlot(part) ? String(slotValue(values, part) ?? '') : part).join('');
+};
+
+const evaluateProps = (values, attributes) =>
+    attributes.reduce((props, attribute) => attribute.spread
+        ? { ...props, ...slotValue(values, attribute.spread) }
+        : { ...props, [attribute.name]: evaluateAttribute(values, attribute.value) }, {});
+
+// Turn a parsed node into createElement output; interpolated values are never parsed as markup
+const evaluateNode = (values, node) => {
+    if (node.kind === 'text') return node.value;
+    if (node.kind === 'slot') return slotValue(values, node.slot);
+
+    const type = isSlot(node.tag) ? slotValue(values, node.tag) : node.tag;
+    if (node.closing && slotValue(values, node.closing) !== type) {
+        const message = 'Closing tag does not match its interpolated opening tag';
+        logSafeError('html', message, `Opening tag: ${type && type.name ? type.name : type}`);
+        return Either.Left(message);
+    }
+    const children = node.children.map(child => evaluateNode(values, child));
+    return createElement(type, evaluateProps(values, node.attributes), ...children);
+};
+
+const getTemplate = (strings) => {
+    if (!templateCache.has(strings)) {
+        try {
+            templateCache.set(strings, Either.Right(parseTemplate(strings)));
+        } catch (error) {
+            templateCache.set(strings, Either.Left(`html template error: ${error.message}`));
+        }
+    }
+    return templateCache.get(strings);
+};
+
+// Tagged template entry point; a single root element is returned as is, anything else in a Fragment
+const html = (strings, ...values) => {
+    const template = getTemplate(strings);
+    if (Either.isLeft(template)) {
+        logSafeError('html', template.value, `Template: ${strings.join('${...}').slice(0, 80)}`);
+        return template;
+    }
+    const roots = template.value.map(node => evaluateNode(values, node));
+    const isElement = root => Either.isRight(root) || Either.isLeft(root);
+    return roots.length === 1 && isElement(roots[0]) ? roots[0] : createElement(Fragment, null, ...roots);
+};
+
+export { html };
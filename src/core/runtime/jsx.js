@@ -3,67 +3,67 @@ import Result from '../types/result.js';
 import { 
     validateElementType, 
     sanitizeProps, 
-    safeDOMOperation,
-    escape 
+    safeDOMOperation
 } from '../security/functions.js';
+import { logSafeError } from './helpers.js';
+import { patch, hydrateContainer, unmountContainer, getDOMNode } from '../../systems/render/functions.js';
+import { Fragment, Portal, isFragmentType, isPortalType, isComponentType, validatePortalContainer } from './builtins.js';
+import { isDevelopment } from './config.js';
+import { validateProps } from './prop-types.js';
+import { reportDiagnostic } from './diagnostics.js';
 
-// Enhanced safety wrapper to prevent undefined type access
-const safeTypeCheck = (obj, expectedType) => {
-    try {
-        return obj !== null && 
-               obj !== undefined && 
-               typeof obj === 'object' && 
-               obj.hasOwnProperty('type') && 
-               obj.type === expectedType;
-    } catch (error) {
-        return false;
-    }
-};
-
-// Wrapper function for accessing .type property safely
-const safeGetType = (obj) => {
-    try {
-        return obj && typeof obj === 'object' && obj.hasOwnProperty('type') ? obj.type : null;
-    } catch (error) {
-        return null;
-    }
-};
+// Unkeyed fragments dissolve into the parent's children; keyed ones stay so the
+// reconciler can match them as a unit
+const isInlineFragment = child =>
+    Either.isRight(child) && child.value && isFragmentType(child.value.type) && child.value.props.key == null;
 
-// Enhanced error logging with more context
-const logSafeError = (context, error, additionalInfo = '') => {
-    const timestamp = new Date().toISOString();
-    const errorMessage = error && error.message ? error.message : String(error);
-    const contextInfo = additionalInfo ? ` | Additional Info: ${additionalInfo}` : '';
-    console.error(`[${timestamp}] FlexNet JSX Error in ${context}: ${errorMessage}${contextInfo}`);
-    if (error && error.stack) {
-        console.error('Stack trace:', error.stack);
-    }
-};
+const flattenFragments = children =>
+    children.flatMap(child => isInlineFragment(child) ? child.value.props.children : [child]);
 
 // Secure JSX runtime implementation
 const createElement = (type, props, ...children) => {
     try {
         // Validate element type
         const typeValidation = validateElementType(type);
-        if (safeTypeCheck(typeValidation, 'Left')) {
+        if (Either.isLeft(typeValidation)) {
             logSafeError('createElement', typeValidation.value, `Failed to validate element type: ${type}`);
+            reportDiagnostic('invalid-element', typeValidation.value, `Element type: ${String(type)}`);
             return Either.Left(typeValidation.value);
         }
 
         // Sanitize props
         const propsResult = sanitizeProps(props);
-        if (safeTypeCheck(propsResult, 'Error')) {
+        if (Result.isError(propsResult)) {
             logSafeError('createElement', 'Props sanitization failed', `Props: ${JSON.stringify(props)}`);
+            reportDiagnostic('invalid-element', 'Props sanitization failed');
             return Either.Left('Props sanitization failed');
         }
 
+        // Portals need somewhere to render
+        if (isPortalType(type)) {
+            const containerCheck = validatePortalContainer(props && props.container);
+            if (Either.isLeft(containerCheck)) {
+                logSafeError('createElement', containerCheck.value, 'Portal rendered without a container');
+                reportDiagnostic('invalid-element', containerCheck.value);
+                return Either.Left(containerCheck.value);
+            }
+        }
+
         // Flatten and validate children
-        const flatChildren = children.flat().filter(child => child != null);
-        
-        return Either.Right({
-            type,
-            props: { ...(safeTypeCheck(propsResult, 'Ok') ? propsResult.value : {}), children: flatChildren }
-        });
+        const flatChildren = flattenFragments(children.flat().filter(child => child != null));
+        const elementProps = { ...(Result.isOk(propsResult) ? propsResult.value : {}), children: flatChildren };
+
+        // Components with a propSchema are checked in development only
+        if (isComponentType(type) && type.propSchema && isDevelopment()) {
+            const propCheck = validateProps(type, elementProps);
+            if (Either.isLeft(propCheck)) {
+                logSafeError('createElement', propCheck.value, 'Invalid component props');
+                reportDiagnostic('invalid-props', propCheck.value);
+                return Either.Left(propCheck.value);
+            }
+        }
+
+        return Either.Right({ type, props: elementProps });
     } catch (error) {
         logSafeError('createElement', error, `Element type: ${type}, Props: ${JSON.stringify(props)}`);
         return Either.Left(`createElement failed: ${error.message}`);
@@ -72,184 +72,52 @@ const createElement = (type, props, ...children) => {
 
 const jsx = createElement;
 
-// Secure render function with proper DOM handling
-const render = (element, container) => {
-    try {
-        return safeDOMOperation(() => {
-            if (!container) {
-                throw new Error('Container element not found');
-            }
+// Shared entry for render and hydrate; commit is the reconciler step that writes the DOM.
+// Resolves to Either: Right(root DOM node), or Left with what went wrong.
+const commitToContainer = (commit, context) => (element, container) =>
+    safeDOMOperation(() => {
+        if (!container) {
+            throw new Error('Container element not found');
+        }
 
-            // Clear container safely without innerHTML
-            while (container.firstChild) {
-                container.removeChild(container.firstChild);
-            }
-            
-            // Handle Either type from createElement
-            if (safeTypeCheck(element, 'Left')) {
-                const errorElement = createTextNode(`Error: ${element.value}`);
-                container.appendChild(errorElement);
-                logSafeError('render', element.value, 'Element contains Left value from createElement');
-                return Either.Left(element.value);
-            }
+        // Handle Either type from createElement
+        if (Either.isLeft(element)) {
+            patch(container)(`Error: ${element.value}`);
+            logSafeError(context, element.value, 'Element contains Left value from createElement');
+            return Either.Left(element.value);
+        }
 
-            // Extract the actual element from Either.Right
-            const actualElement = safeTypeCheck(element, 'Right') ? element.value : element;
-            
-            // Create DOM element from JSX
-            const domElementResult = createDOMElement(actualElement);
-            
-            if (safeTypeCheck(domElementResult, 'Error')) {
-                const errorElement = createTextNode(`Render Error: ${domElementResult.error.message || domElementResult.error}`);
-                container.appendChild(errorElement);
-                logSafeError('render', domElementResult.error, 'Failed to create DOM element during render');
-                return Either.Left(domElementResult.error);
-            }
+        const commitResult = commit(container)(element);
 
-            const domElement = domElementResult && domElementResult.value ? domElementResult.value : null;
-            
-            if (domElement) {
-                container.appendChild(domElement);
-            }
+        if (Result.isError(commitResult)) {
+            patch(container)(`Render Error: ${commitResult.error.message || commitResult.error}`);
+            logSafeError(context, commitResult.error, 'Failed to patch DOM during render');
+            return Either.Left(commitResult.error);
+        }
 
-            return Either.Right(domElement);
-        });
-    } catch (error) {
-        logSafeError('render', error, `Container ID: ${container ? container.id || 'no-id' : 'null'}`);
-        return Either.Left(error);
-    }
-};
+        return Either.Right(getDOMNode(commitResult.value));
+    }).fold(
+        error => {
+            logSafeError(context, error, `Container ID: ${container ? container.id || 'no-id' : 'null'}`);
+            return Either.Left(error);
+        },
+        // The operation already answers with an Either; don't wrap it in the Result again
+        committed => committed
+    );
 
-// Helper to create text nodes safely
-const createTextNode = (text) => {
-    try {
-        const escapedText = typeof text === 'string' ? escape(text) : String(text || '');
-        return document.createTextNode(escapedText);
-    } catch (error) {
-        logSafeError('createTextNode', error, `Input text type: ${typeof text}, value: ${text}`);
-        return document.createTextNode('[Text Error]');
-    }
-};
+// Secure render function: diffs against the previous render instead of rebuilding
+const render = commitToContainer(patch, 'render');
 
-// Secure DOM element creation with error handling
-const createDOMElement = (element) => {
-    try {
-        return safeDOMOperation(() => {
-            if (element === null || element === undefined) {
-                return createTextNode(''); // Handle null/undefined gracefully
-            }
-            if (typeof element === 'string' || typeof element === 'number') {
-                return createTextNode(element);
-            }
-            
-            // Ensure element is an object before trying to access type
-            if (typeof element !== 'object') {
-                logSafeError('createDOMElement', `Invalid element: expected object, got ${typeof element}`, `Element value: ${element}`);
-                return createTextNode('[Invalid Element]'); 
-            }
-            
-            // Check for element.type safely
-            const elementType = safeGetType(element) || (element && element.type);
-            
-            if (typeof elementType === 'function') {
-                // Handle functional components with error boundary
-                const componentResult = Result.fromTry(() => elementType(element.props || {})); // Pass empty props if undefined
-                if (safeTypeCheck(componentResult, 'Error')) {
-                    logSafeError('createDOMElement-functional-component', componentResult.error, `Component function: ${elementType.name || 'anonymous'}`);
-                    throw new Error(`Component error: ${componentResult.error.message || componentResult.error}`);
-                }
-                // Ensure componentResult.value is not undefined before recursion
-                const nestedElement = componentResult && componentResult.value ? componentResult.value : null;
-                const nestedResult = createDOMElement(nestedElement);
-                if (safeTypeCheck(nestedResult, 'Error')) {
-                    logSafeError('createDOMElement-functional-nested', nestedResult.error, `Nested element from component: ${elementType.name || 'anonymous'}`);
-                    throw nestedResult.error;
-                }
-                return nestedResult && nestedResult.value ? nestedResult.value : createTextNode('[Empty Component]');
-            }
-            
-            // Validate element type
-            if (typeof elementType !== 'string') {
-                logSafeError('createDOMElement', `Invalid element type: ${typeof elementType} for element ${JSON.stringify(element)}`, `Expected string element type for DOM creation`);
-                throw new Error(`Invalid element type: ${typeof elementType}`);
-            }
-            
-            // Create the DOM element safely
-            const domElement = document.createElement(elementType);
-            
-            // Add props/attributes safely
-            const { children, ...props } = element.props || {};
-            
-            // Set properties and event handlers with validation
-            Object.entries(props || {}).forEach(([name, value]) => {
-                try {
-                    if (name.startsWith('on') && typeof value === 'function') {
-                        // Event handlers - ensure they're functions
-                        const eventName = name.toLowerCase().substring(2);
-                        domElement.addEventListener(eventName, (event) => {
-                            // Wrap event handler in error boundary
-                            const handlerResult = Result.fromTry(() => value(event));
-                            if (safeTypeCheck(handlerResult, 'Error')) {
-                                logSafeError('eventHandler', handlerResult.error, `Event: ${eventName}, Element: ${elementType}`);
-                            }
-                        });
-                    } else if (name === 'className') {
-                        // Handle className prop and convert to class attribute
-                        if (typeof value === 'string') {
-                            domElement.setAttribute('class', escape(value));
-                        }
-                    } else if (name === 'style' && typeof value === 'string') {
-                        // Handle inline styles safely
-                        domElement.setAttribute('style', escape(value));
-                    } else if (typeof value === 'string') {
-                        // Regular attributes - escape string values
-                        domElement.setAttribute(name, escape(value));
-                    } else if (typeof value === 'boolean') {
-                        // Boolean attributes
-                        if (value) {
-                            domElement.setAttribute(name, '');
-                        }
-                    } else if (typeof value === 'number') {
-                        // Numeric attributes
-                        domElement.setAttribute(name, String(value));
-                    }
-                } catch (error) {
-                    logSafeError('setAttribute', error, `Attribute: ${name}, Value: ${value}, Element: ${elementType}`);
-                }
-            });
-            
-            // Add children safely
-            (children || []).forEach((child, index) => {
-                try {
-                    // Handle Either.Right wrapped children (from createElement)
-                    let actualChild = child;
-                    if (safeTypeCheck(child, 'Right')) {
-                        actualChild = child.value;
-                    }
-                    
-                    const childResult = createDOMElement(actualChild);
-                    if (safeTypeCheck(childResult, 'Error')) {
-                        // Create error placeholder instead of failing completely
-                        const errorMessage = childResult.error && childResult.error.message || childResult.error || 'Unknown error';
-                        const errorNode = document.createTextNode(`[Child Error: ${errorMessage}]`);
-                        domElement.appendChild(errorNode);
-                        logSafeError('appendChild-child-error', childResult.error, `Parent element: ${elementType}, Child index: ${index}`);
-                    } else if (childResult && childResult.value) {
-                        domElement.appendChild(childResult.value);
-                    }
-                } catch (error) {
-                    logSafeError('appendChild', error, `Parent element: ${elementType}, Child: ${child}, Child index: ${index}`);
-                    const errorNode = document.createTextNode('[Child Error]');
-                    domElement.appendChild(errorNode);
-                }
-            });
-            
-            return domElement;
-        });
-    } catch (error) {
-        logSafeError('createDOMElement', error, `Element: ${JSON.stringify(element)}`);
-        return Result.Error(error);
-    }
-};
+// Attach to prerendered markup; mismatches are logged and fall back to a client render
+const hydrate = commitToContainer(hydrateContainer, 'hydrate');
+
+// Tear down a root: unmounts its tree and detaches the container's event listeners
+const unmount = (container) => unmountContainer(container).fold(
+    error => {
+        logSafeError('unmount', error, `Container ID: ${container ? container.id || 'no-id' : 'null'}`);
+        return Either.Left(error);
+    },
+    Either.Right
+);
 
-export { createElement, jsx, render }; 
\ No newline at end of file
+export { createElement, jsx, render, hydrate, unmount, Fragment, Portal }; 
\ No newline at end of file
@@ -0,0 +1,71 @@
+// Prop schemas for components, checked by createElement in development.
+// Declare with Component.propSchema = { onNavigate: PropTypes.func.isRequired }
+import Either from '../types/either.js';
+
+const describeValue = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'function') return 'a function';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value)}`;
+};
+
+// Wrap a check for present values; missing values pass unless .isRequired is used
+const createValidator = (check) => {
+    const validator = (value, name) =>
+        value === null || value === undefined ? Either.Right(value) : check(value, name);
+    validator.isRequired = (value, name) =>
+        value === null || value === undefined ? Either.Left(`prop "${name}" is required`) : check(value, name);
+    return validator;
+};
+
+const typeCheck = (predicate, expected) => createValidator((value, name) =>
+    predicate(value)
+        ? Either.Right(value)
+        : Either.Left(`prop "${name}" should be ${expected}, got ${describeValue(value)}`));
+
+// Run validators over named values and collect every message
+const collectErrors = entries =>
+    entries.reduce((errors, [validator, value, name]) =>
+        validator(value, name).fold(message => [...errors, message], () => errors), []);
+
+const PropTypes = {
+    any: typeCheck(() => true, 'any value'),
+    string: typeCheck(value => typeof value === 'string', 'a string'),
+    number: typeCheck(value => typeof value === 'number' && !Number.isNaN(value), 'a number'),
+    bool: typeCheck(value => typeof value === 'boolean', 'a boolean'),
+    func: typeCheck(value => typeof value === 'function', 'a function'),
+    object: typeCheck(value => typeof value === 'object' && !Array.isArray(value), 'an object'),
+    array: typeCheck(Array.isArray, 'an array'),
+    oneOf: allowed => typeCheck(value => allowed.includes(value), `one of ${allowed.map(item => JSON.stringify(item)).join(', ')}`),
+    arrayOf: itemValidator => createValidator((value, name) => {
+        if (!Array.isArray(value)) {
+            return Either.Left(`prop "${name}" should be an array, got ${describeValue(value)}`);
+        }
+        const errors = collectErrors(value.map((item, index) => [itemValidator, item, `${name}[${index}]`]));
+        return errors.length ? Either.Left(errors.join('; ')) : Either.Right(value);
+    }),
+    shape: schema => createValidator((value, name) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return Either.Left(`prop "${name}" should be an object, got ${describeValue(value)}`);
+        }
+        const errors = collectErrors(Object.entries(schema).map(([key, validator]) => [validator, value[key], `${name}.${key}`]));
+        return errors.length ? Either.Left(errors.join('; ')) : Either.Right(value);
+    })
+};
+
+const componentName = component => component.displayName || component.name || 'anonymous';
+
+// Check props against a component's propSchema; Left names the component and every failing prop
+const validateProps = (component, props) => {
+    const schema = component.propSchema;
+    if (!schema) {
+        return Either.Right(props);
+    }
+    const errors = collectErrors(Object.entries(schema).map(([name, validator]) => [validator, props[name], name]));
+    return errors.length
+        ? Either.Left(`<${componentName(component)}>: ${errors.join('; ')}`)
+        : Either.Right(props);
+};
+
+export { PropTypes, validateProps };
@@ -0,0 +1,198 @@
+// Prop mapping: decides how each JSX prop reaches the DOM
+import { isTrusted } from '../security/functions.js';
+
+// Element and attribute namespaces
+const namespaces = {
+    html: 'http://www.w3.org/1999/xhtml',
+    svg: 'http://www.w3.org/2000/svg',
+    mathml: 'http://www.w3.org/1998/Math/MathML',
+    xlink: 'http://www.w3.org/1999/xlink',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
+// Props consumed by the runtime itself and never written to the DOM.
+// ref, onMount and onUnmount are element lifecycle hooks, not event listeners.
+const reservedProps = new Set(['key', 'ref', 'children', 'onMount', 'onUnmount']);
+
+// React-style prop names and the HTML attributes they stand for
+const propAliases = {
+    className: 'class',
+    htmlFor: 'for',
+    acceptCharset: 'accept-charset',
+    httpEquiv: 'http-equiv',
+    tabIndex: 'tabindex',
+    readOnly: 'readonly',
+    maxLength: 'maxlength',
+    minLength: 'minlength',
+    autoComplete: 'autocomplete',
+    autoFocus: 'autofocus',
+    autoPlay: 'autoplay',
+    allowFullScreen: 'allowfullscreen',
+    colSpan: 'colspan',
+    rowSpan: 'rowspan',
+    contentEditable: 'contenteditable',
+    crossOrigin: 'crossorigin',
+    dateTime: 'datetime',
+    encType: 'enctype',
+    enterKeyHint: 'enterkeyhint',
+    formAction: 'formaction',
+    formNoValidate: 'formnovalidate',
+    inputMode: 'inputmode',
+    itemProp: 'itemprop',
+    itemScope: 'itemscope',
+    itemType: 'itemtype',
+    noValidate: 'novalidate',
+    playsInline: 'playsinline',
+    referrerPolicy: 'referrerpolicy',
+    spellCheck: 'spellcheck',
+    srcSet: 'srcset',
+    useMap: 'usemap'
+};
+
+// camelCase SVG prop names and the hyphenated or prefixed attributes they stand for.
+// Other SVG attributes (viewBox, preserveAspectRatio, ...) are case-sensitive and kept as written.
+const svgAliases = {
+    alignmentBaseline: 'alignment-baseline',
+    baselineShift: 'baseline-shift',
+    clipPath: 'clip-path',
+    clipRule: 'clip-rule',
+    colorInterpolation: 'color-interpolation',
+    colorInterpolationFilters: 'color-interpolation-filters',
+    dominantBaseline: 'dominant-baseline',
+    fillOpacity: 'fill-opacity',
+    fillRule: 'fill-rule',
+    floodColor: 'flood-color',
+    floodOpacity: 'flood-opacity',
+    fontFamily: 'font-family',
+    fontSize: 'font-size',
+    fontStyle: 'font-style',
+    fontWeight: 'font-weight',
+    imageRendering: 'image-rendering',
+    letterSpacing: 'letter-spacing',
+    lightingColor: 'lighting-color',
+    markerEnd: 'marker-end',
+    markerMid: 'marker-mid',
+    markerStart: 'marker-start',
+    paintOrder: 'paint-order',
+    pointerEvents: 'pointer-events',
+    shapeRendering: 'shape-rendering',
+    stopColor: 'stop-color',
+    stopOpacity: 'stop-opacity',
+    strokeDasharray: 'stroke-dasharray',
+    strokeDashoffset: 'stroke-dashoffset',
+    strokeLinecap: 'stroke-linecap',
+    strokeLinejoin: 'stroke-linejoin',
+    strokeMiterlimit: 'stroke-miterlimit',
+    strokeOpacity: 'stroke-opacity',
+    strokeWidth: 'stroke-width',
+    textAnchor: 'text-anchor',
+    textDecoration: 'text-decoration',
+    textRendering: 'text-rendering',
+    vectorEffect: 'vector-effect',
+    wordSpacing: 'word-spacing',
+    writingMode: 'writing-mode',
+    xlinkHref: 'xlink:href',
+    xlinkTitle: 'xlink:title',
+    xmlLang: 'xml:lang',
+    xmlSpace: 'xml:space',
+    xmlnsXlink: 'xmlns:xlink'
+};
+
+// Present-or-absent attributes: true writes an empty value, false removes them.
+// Every other attribute given a boolean takes the literal "true" or "false".
+const booleanAttributes = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls',
+    'default', 'defer', 'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap',
+    'itemscope', 'loop', 'multiple', 'muted', 'nomodule', 'novalidate', 'open',
+    'playsinline', 'readonly', 'required', 'reversed', 'selected'
+]);
+
+// Form control state lives on DOM properties; attributes only set the initial value
+const liveProperties = {
+    value: { attribute: 'value', coerce: value => value === null || value === undefined ? '' : String(value) },
+    defaultValue: { attribute: 'value', coerce: value => value === null || value === undefined ? '' : String(value) },
+    checked: { attribute: 'checked', coerce: Boolean },
+    defaultChecked: { attribute: 'checked', coerce: Boolean },
+    selected: { attribute: 'selected', coerce: Boolean },
+    selectedIndex: { attribute: null, coerce: value => value === null || value === undefined ? -1 : Number(value) },
+    indeterminate: { attribute: null, coerce: Boolean },
+    muted: { attribute: 'muted', coerce: Boolean }
+};
+
+// A <select> can only take its value once its options exist, so these props wait for the children
+const optionDependentProps = new Set(['value', 'defaultValue', 'selectedIndex']);
+
+const isOptionDependentProp = (type, name) => type === 'select' && optionDependentProps.has(name);
+
+const isEventProp = (name, value) => name.startsWith('on') && typeof value === 'function';
+
+const toAttributeName = (name, namespace = namespaces.html) =>
+    (namespace === namespaces.svg && svgAliases[name]) || propAliases[name] || name;
+
+// Namespace an element is created in: <svg> and <math> open their own, everything else inherits
+const elementNamespace = (type, parentNamespace = namespaces.html) => {
+    if (type === 'svg') return namespaces.svg;
+    if (type === 'math') return namespaces.mathml;
+    return parentNamespace;
+};
+
+// Namespace for an element's children; foreignObject content is HTML again
+const childNamespace = (type, namespace) =>
+    namespace === namespaces.svg && type === 'foreignObject' ? namespaces.html : namespace;
+
+// Prefixed attributes (xlink:href, xml:space, xmlns:xlink) live in their own namespace
+const attributeNamespace = attribute => {
+    if (attribute === 'xmlns' || attribute.startsWith('xmlns:')) return namespaces.xmlns;
+    if (attribute.startsWith('xlink:')) return namespaces.xlink;
+    if (attribute.startsWith('xml:')) return namespaces.xml;
+    return null;
+};
+
+// Classify a prop: reserved, event, style, property or attribute
+const describeProp = (name, value, namespace = namespaces.html) => {
+    if (reservedProps.has(name)) {
+        return { kind: 'reserved' };
+    }
+    if (isEventProp(name, value)) {
+        return { kind: 'event' };
+    }
+    if (name === 'style') {
+        return { kind: 'style', attribute: 'style' };
+    }
+    if (liveProperties[name]) {
+        return { kind: 'property', property: name, ...liveProperties[name] };
+    }
+    return { kind: 'attribute', attribute: toAttributeName(name, namespace) };
+};
+
+// Attribute value for a prop; null means the attribute should be absent
+const toAttributeValue = (attribute, value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        if (booleanAttributes.has(attribute.toLowerCase())) {
+            return value ? '' : null;
+        }
+        return String(value);
+    }
+    if (typeof value === 'string' || typeof value === 'number' || isTrusted(value)) {
+        return value;
+    }
+    // Functions and plain objects have no attribute form
+    return null;
+};
+
+export {
+    namespaces,
+    reservedProps,
+    isEventProp,
+    isOptionDependentProp,
+    toAttributeName,
+    elementNamespace,
+    childNamespace,
+    attributeNamespace,
+    describeProp,
+    toAttributeValue
+};
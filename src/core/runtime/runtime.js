@@ -4,13 +4,21 @@ import Either from '../types/either.js';
 import Result from '../types/result.js';
 import { compose, pipe, curry } from '../functions/composition.js';
 import { map, filter, reduce } from '../functions/transforms.js';
-import { createElement, jsx, render } from './jsx.js';
+import { createElement, jsx, render, hydrate, Fragment, Portal } from './jsx.js';
+import { serializeStyle } from './style.js';
+import { renderToString } from './server.js';
+import { html } from './html.js';
 import { 
     escape, 
     validateInput, 
     validateElementType, 
     sanitizeProps, 
     urlValidator, 
+    validateURL,
+    validateStyleValue,
+    encodeText,
+    encodeAttribute,
+    trusted,
     safeDOMOperation 
 } from '../security/functions.js';
 
@@ -32,7 +40,13 @@ export {
     // JSX
     createElement,
     jsx,
+    html,
+    Fragment,
+    Portal,
     render,
+    hydrate,
+    renderToString,
+    serializeStyle,
     
     // Security
     escape,
@@ -40,5 +54,10 @@ export {
     validateElementType,
     sanitizeProps,
     urlValidator,
+    validateURL,
+    validateStyleValue,
+    encodeText,
+    encodeAttribute,
+    trusted,
     safeDOMOperation
 }; 
\ No newline at end of file
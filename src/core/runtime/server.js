@@ -0,0 +1,125 @@
+// String rendering for static output; walks element trees without touching the DOM
+import { escape } from '../security/functions.js';
+import { logSafeError } from './helpers.js';
+import { resolveAttribute } from './dom.js';
+import { namespaces, elementNamespace, childNamespace } from './props.js';
+import { isFragmentType, isPortalType, isComponentType } from './builtins.js';
+import { createVirtualDOM, TEXT } from '../../systems/render/functions.js';
+import { createInstance, withInstance, withOwner, disposeInstance } from '../../systems/render/hooks.js';
+import { reportDiagnostic, componentStack } from './diagnostics.js';
+
+// Elements that never have children or a closing tag
+const voidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const isValidTagName = type => /^[a-zA-Z][a-zA-Z0-9-]*$/.test(type);
+
+const errorMessageOf = error => (error && error.message) || error || 'Unknown error';
+
+// Serialize props using the same attribute rules as the DOM renderer
+const renderAttributes = (props, elementType, namespace) =>
+    Object.entries(props || {})
+        .map(([name, value]) => resolveAttribute(name, value, namespace).fold(
+            error => {
+                logSafeError('renderToString-attribute', error, `Attribute: ${name}, Element: ${elementType}`);
+                return '';
+            },
+            attribute => attribute ? ` ${attribute.name}="${escape(attribute.value)}"` : ''
+        ))
+        .join('');
+
+// Components run with a throwaway instance: hooks return initial values and effects never fire.
+// The instance lives until its subtree is rendered so descendants can read its context.
+const renderComponent = (vnode, namespace, owner) => {
+    const instance = createInstance(() => {}, owner);
+    instance.vnode = vnode;
+    const render = () => {
+        try {
+            return withInstance(instance, () => vnode.type(vnode.props));
+        } catch (error) {
+            // Where it failed, for the diagnostic reported by the enclosing child
+            if (error && typeof error === 'object' && !error.componentStack) {
+                error.componentStack = componentStack(instance);
+            }
+            throw error;
+        }
+    };
+    try {
+        return withOwner(instance, () => renderNode(render(), namespace, instance));
+    } finally {
+        disposeInstance(instance);
+    }
+};
+
+const renderNode = (element, namespace = namespaces.html, owner = null) => {
+    const vnode = createVirtualDOM(element).fold(error => { throw error; }, value => value);
+
+    if (isFragmentType(vnode.type)) {
+        return renderChildren(vnode.children, namespace, owner);
+    }
+    // Portal content belongs to another container and only appears once mounted
+    if (isPortalType(vnode.type)) {
+        return '';
+    }
+    if (isComponentType(vnode.type)) {
+        return renderComponent(vnode, namespace, owner);
+    }
+    if (vnode.type === TEXT) {
+        return escape(vnode.value);
+    }
+    if (!isValidTagName(vnode.type)) {
+        throw new Error(`Invalid element type: ${vnode.type}`);
+    }
+
+    const elementNs = elementNamespace(vnode.type, namespace);
+    const isHTML = elementNs === namespaces.html;
+
+    // A textarea's value is its text content in markup
+    const { value, ...otherProps } = vnode.props;
+    const isTextarea = isHTML && vnode.type.toLowerCase() === 'textarea' && value !== null && value !== undefined;
+    const attributes = isTextarea ? otherProps : vnode.props;
+    const children = isTextarea ? [String(value)] : vnode.children;
+
+    const tagContent = `${vnode.type}${renderAttributes(attributes, vnode.type, elementNs)}`;
+    if (isHTML && voidElements.has(vnode.type.toLowerCase())) {
+        return `<${tagContent}>`;
+    }
+    // SVG and MathML elements without children self-close, as foreign content allows
+    if (!isHTML && children.length === 0) {
+        return `<${tagContent} />`;
+    }
+    return `<${tagContent}>${renderChildren(children, childNamespace(vnode.type, elementNs), owner)}</${vnode.type}>`;
+};
+
+// Escaped text never contains '<' or '>', so a boundary between two text outputs
+// is visible from the strings; a comment keeps them separate nodes when parsed
+const renderChildren = (children, namespace, owner) =>
+    children.map((child, index) => renderChild(child, index, namespace, owner)).reduce((html, output) => {
+        const joinsText = html && output && !html.endsWith('>') && !output.startsWith('<');
+        return `${html}${joinsText ? '<!-- -->' : ''}${output}`;
+    }, '');
+
+// Child failures degrade to inline text, matching the DOM renderer
+const renderChild = (child, index, namespace, owner) => {
+    try {
+        return renderNode(child, namespace, owner);
+    } catch (error) {
+        logSafeError('renderToString-child-error', error, `Child index: ${index}`);
+        reportDiagnostic('child-error', error, 'Rendered inline by renderToString');
+        return escape(`[Child Error: ${errorMessageOf(error)}]`);
+    }
+};
+
+// Render an element tree (Either-wrapped or plain) to an HTML string
+const renderToString = (element) => {
+    try {
+        return renderNode(element);
+    } catch (error) {
+        logSafeError('renderToString', error);
+        return escape(`Render Error: ${errorMessageOf(error)}`);
+    }
+};
+
+export { renderToString };
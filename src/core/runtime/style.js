@@ -0,0 +1,106 @@
+// Style prop serialization for the JSX runtime
+import Either from '../types/either.js';
+import { validateStyleValue } from '../security/functions.js';
+
+// Properties whose numeric values are unitless in CSS
+const unitlessProperties = new Set([
+    'animationIterationCount', 'aspectRatio', 'columnCount', 'columns', 'fillOpacity',
+    'flex', 'flexGrow', 'flexShrink', 'floodOpacity', 'fontWeight', 'gridArea',
+    'gridColumn', 'gridColumnEnd', 'gridColumnStart', 'gridRow', 'gridRowEnd',
+    'gridRowStart', 'lineClamp', 'lineHeight', 'opacity', 'order', 'orphans',
+    'scale', 'stopOpacity', 'strokeDashoffset', 'strokeMiterlimit', 'strokeOpacity',
+    'strokeWidth', 'tabSize', 'widows', 'zIndex', 'zoom'
+]);
+
+const isCustomProperty = name => name.startsWith('--');
+
+// camelCase -> kebab-case, keeping vendor prefixes (WebkitX, msX) and custom properties intact
+const toCSSProperty = name => {
+    if (isCustomProperty(name)) {
+        return name;
+    }
+    const kebab = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    return kebab.startsWith('ms-') ? `-${kebab}` : kebab;
+};
+
+const toCSSValue = (name, value) =>
+    typeof value === 'number' && value !== 0 && !unitlessProperties.has(name) && !isCustomProperty(name)
+        ? `${value}px`
+        : String(value);
+
+const isValidPropertyName = name => /^(--)?[a-zA-Z][a-zA-Z0-9-]*$/.test(name);
+
+// Properties that bind scripts (old IE and Firefox), whatever their value
+const blockedProperties = new Set(['behavior', '-moz-binding']);
+
+// True when value could end its declaration: a `;` outside quotes and url(...),
+// or a quote or url( left open
+const breaksDeclaration = value => {
+    let quote = null;
+    let inUrl = false;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (inUrl) {
+            if (char === ')') inUrl = false;
+        } else if (char === '(' && /(^|[^\w-])url$/i.test(value.slice(0, i))) {
+            inUrl = true;
+        } else if (char === ';') {
+            return true;
+        }
+    }
+    return quote !== null || inUrl;
+};
+
+// Serialize a single declaration, validating the property and the value
+const serializeDeclaration = ([name, value]) => {
+    if (!isValidPropertyName(name)) {
+        return Either.Left(`Invalid style property: ${name}`);
+    }
+    if (blockedProperties.has(toCSSProperty(name).toLowerCase())) {
+        return Either.Left(`Unsafe style property: ${name}`);
+    }
+    if (breaksDeclaration(String(value))) {
+        return Either.Left(`Style value for ${name} must be a single declaration`);
+    }
+    return validateStyleValue(toCSSValue(name, value))
+        .map(cssValue => `${toCSSProperty(name)}: ${cssValue}`);
+};
+
+// Serialize a style prop (object or string) into a CSS declaration list
+const serializeStyle = style => {
+    if (style === null || style === undefined) {
+        return Either.Right('');
+    }
+    if (typeof style === 'string') {
+        return validateStyleValue(style);
+    }
+    if (typeof style !== 'object') {
+        return Either.Left(`Unsupported style type: ${typeof style}`);
+    }
+
+    return Object.entries(style)
+        .filter(([, value]) => value !== null && value !== undefined && value !== false && value !== '')
+        .reduce(
+            (acc, declaration) => acc.chain(declarations =>
+                serializeDeclaration(declaration).map(css => [...declarations, css])),
+            Either.Right([])
+        )
+        .map(declarations => declarations.join('; '));
+};
+
+// Shallow comparison so inline style objects don't force a rewrite on every render
+const stylesEqual = (a, b) => {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every(key => a[key] === b[key]);
+};
+
+export { serializeStyle, toCSSProperty, stylesEqual };
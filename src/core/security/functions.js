@@ -1,19 +1,7 @@
 import Either from '../types/either.js';
 import Result from '../types/result.js';
 import { compose } from '../functions/composition.js';
-
-// Safe type checking helper
-const safeTypeCheck = (obj, expectedType) => {
-    try {
-        return obj !== null && 
-               obj !== undefined && 
-               typeof obj === 'object' && 
-               obj.hasOwnProperty('type') && 
-               obj.type === expectedType;
-    } catch (error) {
-        return false;
-    }
-};
+import { hasTag } from '../types/combinators.js';
 
 // Content escaping as specified in security-practices.md
 const escape = str => compose(
@@ -45,7 +33,7 @@ const validateElementType = type => {
     return Either.Right(type);
 };
 
-// Sanitize props
+// Sanitize props: values stay raw here and are encoded for their output context later
 const sanitizeProps = props => {
     if (!props) return Result.Ok({});
     
@@ -55,18 +43,7 @@ const sanitizeProps = props => {
             if (key.startsWith('on') && typeof value === 'string') {
                 return acc;
             }
-            // Escape string values
-            if (typeof value === 'string') {
-                const validation = validateInput(value);
-                if (safeTypeCheck(validation, 'Right')) {
-                    acc[key] = escape(value);
-                } else {
-                    // Skip invalid values
-                    return acc;
-                }
-            } else {
-                acc[key] = value;
-            }
+            acc[key] = value;
             return acc;
         }, {});
         
@@ -89,6 +66,114 @@ const urlValidator = {
     }
 };
 
+// CSS value validation: blocks script-capable constructs in inline styles
+const dangerousStylePatterns = [
+    /expression\s*\(/i,
+    /javascript\s*:/i,
+    /vbscript\s*:/i,
+    /-moz-binding/i,
+    /behavior\s*:/i,
+    /@import/i,
+    /[<>{}]/
+];
+
+const allowedStyleUrl = /^(https?:|data:image\/|[^:]*$)/i;
+
+// Undo CSS escapes and comments so obfuscated payloads are checked as written
+const normalizeCSS = css => css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (_, hex) => {
+        const codePoint = parseInt(hex, 16);
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD';
+    })
+    .replace(/\\(.)/g, '$1');
+
+const validateStyleValue = value => {
+    if (typeof value !== 'string') {
+        return Either.Left('Style value must be a string');
+    }
+
+    const normalized = normalizeCSS(value);
+    if (dangerousStylePatterns.some(pattern => pattern.test(normalized))) {
+        return Either.Left(`Unsafe style value: ${value}`);
+    }
+
+    const urls = [...normalized.matchAll(/url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi)].map(match => match[2].trim());
+    return urls.every(url => allowedStyleUrl.test(url))
+        ? Either.Right(value)
+        : Either.Left(`Unsafe url() in style value: ${value}`);
+};
+
+// Trusted values bypass value checks; only wrap content that is already vetted
+const trusted = value => Object.freeze({ type: 'Trusted', value: String(value) });
+
+const isTrusted = hasTag('Trusted');
+
+// URL validation for href/src style attributes; relative URLs are allowed
+const allowedURLSchemes = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const validateURL = url => {
+    if (typeof url !== 'string') {
+        return Either.Left('URL must be a string');
+    }
+
+    // Browsers ignore control characters and whitespace when reading the scheme
+    const normalized = url.replace(/[\u0000-\u0020\u007F]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    if (!scheme) {
+        return Either.Right(url);
+    }
+    if (allowedURLSchemes.includes(`${scheme[1]}:`) || /^data:image\/(png|gif|jpeg|webp);/.test(normalized)) {
+        return Either.Right(url);
+    }
+    return Either.Left(`Blocked URL scheme: ${scheme[1]}`);
+};
+
+const urlAttributes = new Set([
+    'href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href', 'data'
+]);
+
+// Comma-separated image candidates, each a URL with an optional width or density descriptor
+const srcsetAttributes = new Set(['srcset', 'imagesrcset']);
+
+const validateSrcset = srcset => {
+    const urls = srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+    const blocked = urls.find(url => validateURL(url).fold(() => true, () => false));
+    return blocked === undefined
+        ? Either.Right(srcset)
+        : Either.Left(`Blocked URL in srcset: ${blocked}`);
+};
+
+const validAttributeName = /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/;
+
+// Context-aware output encoders
+const encodeText = value => value === null || value === undefined ? '' : String(value);
+
+// setAttribute stores the raw string, so only the name and URL values need checks
+const encodeAttribute = (name, value) => {
+    if (!validAttributeName.test(name)) {
+        return Either.Left(`Invalid attribute name: ${name}`);
+    }
+    if (name.toLowerCase().startsWith('on')) {
+        return Either.Left(`Inline event handler attributes are not allowed: ${name}`);
+    }
+    if (isTrusted(value)) {
+        return Either.Right(value.value);
+    }
+    const attribute = name.toLowerCase();
+    // srcdoc is a whole HTML document; it can only be written from vetted content
+    if (attribute === 'srcdoc') {
+        return Either.Left('srcdoc only accepts trusted() values');
+    }
+    if (srcsetAttributes.has(attribute)) {
+        return validateSrcset(String(value));
+    }
+    return urlAttributes.has(attribute)
+        ? validateURL(String(value))
+        : Either.Right(String(value));
+};
+
 // Safe DOM operations
 const safeDOMOperation = operation => {
     return Result.fromTry(operation);
@@ -100,5 +185,11 @@ export {
     validateElementType,
     sanitizeProps,
     urlValidator,
+    validateURL,
+    validateStyleValue,
+    encodeText,
+    encodeAttribute,
+    trusted,
+    isTrusted,
     safeDOMOperation
 }; 
\ No newline at end of file
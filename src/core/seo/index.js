@@ -14,13 +14,13 @@ export const initSEO = () => {
         
         // Initialize sitemap service
         const sitemapResult = initSitemapService();
-        if (sitemapResult.type === 'Error') {
+        if (Result.isError(sitemapResult)) {
             throw new Error('Failed to initialize sitemap service');
         }
         
         // Initialize SEO utilities
         const utilsResult = initSEOUtils();
-        if (utilsResult.type === 'Error') {
+        if (Result.isError(utilsResult)) {
             console.warn('SEO utilities initialization failed:', utilsResult.error);
         }
         
@@ -54,13 +54,13 @@ export const updatePageSEO = (pageId) => {
         
         // Update meta tags
         const metaResult = updateMetaTags(pageId);
-        if (metaResult.type === 'Error') {
+        if (Result.isError(metaResult)) {
             throw new Error(`Failed to update meta tags: ${metaResult.error}`);
         }
         
         // Update structured data schemas
         const schemaResult = updatePageSchemas(pageId);
-        if (schemaResult.type === 'Error') {
+        if (Result.isError(schemaResult)) {
             throw new Error(`Failed to update schemas: ${schemaResult.error}`);
         }
         
@@ -146,12 +146,12 @@ const handleSEORequest = (path, port) => {
     
     if (path === '/sitemap.xml') {
         const sitemapResult = serveSitemap();
-        response = sitemapResult.type === 'Success' ? 
+        response = Result.isOk(sitemapResult) ? 
             { success: true, content: sitemapResult.value.content, mimeType: 'application/xml' } :
             { success: false, error: sitemapResult.error };
     } else if (path === '/robots.txt') {
         const robotsResult = serveRobotsTxt();
-        response = robotsResult.type === 'Success' ? 
+        response = Result.isOk(robotsResult) ? 
             { success: true, content: robotsResult.value.content, mimeType: 'text/plain' } :
             { success: false, error: robotsResult.error };
     } else {
@@ -168,7 +168,7 @@ const handleSEORequest = (path, port) => {
  */
 const downloadSitemap = () => {
     const sitemapResult = serveSitemap();
-    if (sitemapResult.type === 'Success') {
+    if (Result.isOk(sitemapResult)) {
         downloadFile(sitemapResult.value.content, 'sitemap.xml', 'application/xml');
     }
 };
@@ -178,7 +178,7 @@ const downloadSitemap = () => {
  */
 const downloadRobotsTxt = () => {
     const robotsResult = serveRobotsTxt();
-    if (robotsResult.type === 'Success') {
+    if (Result.isOk(robotsResult)) {
         downloadFile(robotsResult.value.content, 'robots.txt', 'text/plain');
     }
 };
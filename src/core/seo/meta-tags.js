@@ -1,7 +1,6 @@
 // SEO Meta Tags Management System
 import Maybe from '../types/maybe.js';
 import Result from '../types/result.js';
-import { escape } from '../security/functions.js';
 
 /**
  * Core SEO configuration for CryptoVersus.io
@@ -67,7 +66,8 @@ export const PAGE_SEO_CONFIG = {
 const createMetaTag = (name, content, property = null) => {
     if (!content) return null;
     
-    const attributes = property ? { property, content: escape(content) } : { name, content: escape(content) };
+    // setAttribute stores the raw value, so no HTML escaping here
+    const attributes = property ? { property, content } : { name, content };
     
     const tag = document.createElement('meta');
     Object.entries(attributes).forEach(([key, value]) => {
@@ -208,8 +208,8 @@ export const updateMetaTags = (pageId) => {
         const twitterResult = generateTwitterTags(pageConfig);
         const additionalResult = generateAdditionalMetaTags(pageConfig);
         
-        if (basicResult.type === 'Error' || ogResult.type === 'Error' || 
-            twitterResult.type === 'Error' || additionalResult.type === 'Error') {
+        if (Result.isError(basicResult) || Result.isError(ogResult) || 
+            Result.isError(twitterResult) || Result.isError(additionalResult)) {
             throw new Error('Failed to generate meta tags');
         }
         
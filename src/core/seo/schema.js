@@ -336,7 +336,7 @@ export const updatePageSchemas = (pageId) => {
     return Result.fromTry(() => {
         // Remove existing schemas
         const removeResult = removeExistingSchemas();
-        if (removeResult.type === 'Error') {
+        if (Result.isError(removeResult)) {
             throw new Error('Failed to remove existing schemas');
         }
 
@@ -348,13 +348,13 @@ export const updatePageSchemas = (pageId) => {
         
         // Insert each schema
         for (const schemaResult of schemas) {
-            if (schemaResult.type === 'Error') {
+            if (Result.isError(schemaResult)) {
                 console.warn('Schema generation failed:', schemaResult.error);
                 continue;
             }
             
             const insertResult = insertSchemaScript(schemaResult.value);
-            if (insertResult.type === 'Success') {
+            if (Result.isOk(insertResult)) {
                 insertedCount++;
             } else {
                 console.warn('Schema insertion failed:', insertResult.error);
@@ -109,7 +109,7 @@ export const serveSitemap = () => {
     return Result.fromTry(() => {
         const sitemapResult = generateSitemapXML();
         
-        if (sitemapResult.type === 'Error') {
+        if (Result.isError(sitemapResult)) {
             throw new Error('Failed to generate sitemap');
         }
         
@@ -132,7 +132,7 @@ export const serveRobotsTxt = () => {
     return Result.fromTry(() => {
         const robotsResult = generateRobotsTxt();
         
-        if (robotsResult.type === 'Error') {
+        if (Result.isError(robotsResult)) {
             throw new Error('Failed to generate robots.txt');
         }
         
@@ -285,7 +285,7 @@ export const initSitemapService = () => {
         // Validate sitemap on initialization
         const validationResult = validateSitemap();
         
-        if (validationResult.type === 'Error') {
+        if (Result.isError(validationResult)) {
             throw new Error('Sitemap service initialization failed');
         }
         
@@ -310,7 +310,7 @@ export const downloadSitemap = () => {
     return Result.fromTry(() => {
         const sitemapResult = generateSitemapXML();
         
-        if (sitemapResult.type === 'Error') {
+        if (Result.isError(sitemapResult)) {
             throw new Error('Failed to generate sitemap for download');
         }
         
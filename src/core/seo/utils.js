@@ -2,40 +2,55 @@
 import Result from '../types/result.js';
 import Maybe from '../types/maybe.js';
 
+// One observer shared by every lazy image, created on first use
+let imageObserver = null;
+
+const getImageObserver = () => {
+    if (!imageObserver) {
+        imageObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    img.src = img.dataset.src;
+                    img.classList.remove('lazy');
+                    observer.unobserve(img);
+                }
+            });
+        });
+    }
+    return imageObserver;
+};
+
 /**
  * Performance optimization utilities for SEO
  */
 export const PerformanceUtils = {
     
+    /**
+     * Lazy load one image: its data-src is swapped in when it scrolls into view.
+     * Returns a function that stops watching it, so it fits an element's onMount:
+     * jsx('img', { 'data-src': url, onMount: PerformanceUtils.observeLazyImage })
+     */
+    observeLazyImage: (img) => {
+        if (!('IntersectionObserver' in window)) {
+            // Fallback for browsers without IntersectionObserver
+            img.src = img.dataset.src;
+            return () => {};
+        }
+        const observer = getImageObserver();
+        observer.observe(img);
+        return () => observer.unobserve(img);
+    },
+
     /**
      * Lazy load images for better page speed
      */
     lazyLoadImages: () => {
         return Result.fromTry(() => {
-            if ('IntersectionObserver' in window) {
-                const imageObserver = new IntersectionObserver((entries, observer) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            const img = entry.target;
-                            img.src = img.dataset.src;
-                            img.classList.remove('lazy');
-                            observer.unobserve(img);
-                        }
-                    });
-                });
-
-                document.querySelectorAll('img[data-src]').forEach(img => {
-                    imageObserver.observe(img);
-                });
-
-                return 'Lazy loading initialized';
-            } else {
-                // Fallback for browsers without IntersectionObserver
-                document.querySelectorAll('img[data-src]').forEach(img => {
-                    img.src = img.dataset.src;
-                });
-                return 'Lazy loading fallback applied';
-            }
+            document.querySelectorAll('img[data-src]').forEach(PerformanceUtils.observeLazyImage);
+            return 'IntersectionObserver' in window
+                ? 'Lazy loading initialized'
+                : 'Lazy loading fallback applied';
         });
     },
 
@@ -474,17 +489,18 @@ export const SocialUtils = {
     },
 
     /**
-     * Add social sharing buttons to page
+     * Add social sharing buttons to a container element or the element with that id.
+     * Pass the element from a ref or onMount to skip the document lookup.
      */
-    addSharingButtons: (containerId, pageConfig) => {
+    addSharingButtons: (target, pageConfig) => {
         return Result.fromTry(() => {
-            const container = document.getElementById(containerId);
+            const container = typeof target === 'string' ? document.getElementById(target) : target;
             if (!container) {
-                throw new Error(`Container with id ${containerId} not found`);
+                throw new Error(`Container with id ${target} not found`);
             }
 
             const sharingUrlsResult = SocialUtils.generateSharingUrls(pageConfig);
-            if (sharingUrlsResult.type === 'Error') {
+            if (Result.isError(sharingUrlsResult)) {
                 throw sharingUrlsResult.error;
             }
 
@@ -0,0 +1,55 @@
+// Tag guards for every type in src/core/types and the collection combinators shared by
+// Maybe, Either and Result. Guards live here rather than on each type so the types can
+// convert between each other without importing one another.
+// hasTag(tag) builds the same guard for other tagged values, e.g. trusted() in security
+const hasTag = tag => value => value !== null && typeof value === 'object' && value.type === tag;
+
+const isJust = hasTag('Just');
+const isNothing = hasTag('Nothing');
+const isLeft = hasTag('Left');
+const isRight = hasTag('Right');
+const isOk = hasTag('Ok');
+const isError = hasTag('Error');
+const isTask = hasTag('Task');
+const isSuccess = hasTag('Success');
+const isFailure = hasTag('Failure');
+
+// The combinators below work on any of the three types through a descriptor:
+// { of, isSuccess, isFailure, failure } where failure(error) builds the failing case
+// used for thrown errors and for values that are not of the type at all.
+const invalid = (adt, name) => adt.failure(new Error(`Invalid ${name} object`));
+
+// traverse(fn)(items): map each item to the type and collect the values,
+// stopping at the first failure, which is returned as is
+const traverseWith = (adt, name) => fn => items => {
+    const values = [];
+    for (const item of items) {
+        let result;
+        try {
+            result = fn(item);
+        } catch (error) {
+            return adt.failure(error);
+        }
+        if (adt.isFailure(result)) return result;
+        if (!adt.isSuccess(result)) return invalid(adt, name);
+        values.push(result.value);
+    }
+    return adt.of(values);
+};
+
+// sequence(items): an array of the type turned into the type of an array
+const sequenceWith = (adt, name) => traverseWith(adt, name)(item => item);
+
+// all(items): like sequence, but also takes a plain object and keeps its keys
+const allWith = (adt, name) => items => {
+    if (Array.isArray(items)) {
+        return sequenceWith(adt, name)(items);
+    }
+    const keys = Object.keys(items || {});
+    const collected = sequenceWith(adt, name)(keys.map(key => items[key]));
+    return adt.isSuccess(collected)
+        ? adt.of(Object.fromEntries(keys.map((key, index) => [key, collected.value[index]])))
+        : collected;
+};
+
+export { hasTag, isJust, isNothing, isLeft, isRight, isOk, isError, isTask, isSuccess, isFailure, traverseWith, sequenceWith, allWith };
@@ -1,10 +1,30 @@
 // Either type for error handling with enhanced safety
+import { isJust, isLeft, isRight, isOk, isError, traverseWith, sequenceWith, allWith } from './combinators.js';
+
+// How the shared combinators build and recognise Eithers
+const adt = {
+    of: value => Either.Right(value),
+    isSuccess: isRight,
+    isFailure: isLeft,
+    failure: error => Either.Left(error)
+};
+
 const Either = {
     Left: value => ({
         type: 'Left',
         value,
         map: fn => Either.Left(value),
         chain: fn => Either.Left(value),
+        ap: other => Either.Left(value),
+        // Left(error).orElse(error => Either.Right(fallback)) recovers
+        orElse: fn => {
+            try {
+                const result = fn(value);
+                return isLeft(result) || isRight(result) ? result : Either.Right(result);
+            } catch (error) {
+                return Either.Left(error);
+            }
+        },
         fold: (leftFn, rightFn) => {
             try {
                 return leftFn(value);
@@ -26,11 +46,14 @@ const Either = {
         chain: fn => {
             try {
                 const result = fn(value);
-                return result && (result.type === 'Left' || result.type === 'Right') ? result : Either.Right(result);
+                return isLeft(result) || isRight(result) ? result : Either.Right(result);
             } catch (error) {
                 return Either.Left(error);
             }
         },
+        // Right(fn).ap(Right(x)) -> Right(fn(x))
+        ap: other => Either.chain(argument => Either.Right(value).map(fn => fn(argument)))(other),
+        orElse: fn => Either.Right(value),
         fold: (leftFn, rightFn) => {
             try {
                 return rightFn(value);
@@ -39,26 +62,39 @@ const Either = {
             }
         }
     }),
+    of: value => Either.Right(value),
     fromNullable: value => value != null ? Either.Right(value) : Either.Left('Value is null'),
+    // Conversions: Nothing becomes Left(leftValue), a Result's error becomes the Left value
+    fromMaybe: (maybe, leftValue = 'Value is missing') => isJust(maybe) ? Either.Right(maybe.value) : Either.Left(leftValue),
+    fromResult: result => {
+        if (isOk(result)) return Either.Right(result.value);
+        return isError(result) ? Either.Left(result.error) : Either.Left(new Error('Invalid result object'));
+    },
+    isLeft,
+    isRight,
+    // Collections: Right of all the values, or the first Left
+    traverse: traverseWith(adt, 'either'),
+    sequence: sequenceWith(adt, 'either'),
+    all: allWith(adt, 'either'),
     // Static helper methods with null safety
     map: fn => either => {
         if (!either || typeof either !== 'object' || !either.type) {
             return Either.Left(new Error('Invalid either object'));
         }
-        return either.type === 'Right' ? Either.Right(fn(either.value)) : either;
+        return isRight(either) ? Either.Right(fn(either.value)) : either;
     },
     chain: fn => either => {
         if (!either || typeof either !== 'object' || !either.type) {
             return Either.Left(new Error('Invalid either object'));
         }
-        return either.type === 'Right' ? fn(either.value) : either;
+        return isRight(either) ? fn(either.value) : either;
     },
     fold: (leftFn, rightFn) => either => {
         if (!either || typeof either !== 'object' || !either.type) {
             return leftFn(new Error('Invalid either object'));
         }
-        return either.type === 'Right' ? rightFn(either.value) : leftFn(either.value);
+        return isRight(either) ? rightFn(either.value) : leftFn(either.value);
     }
 };
 
-export default Either; 
\ No newline at end of file
+export default Either;
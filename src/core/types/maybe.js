@@ -1,4 +1,14 @@
 // Maybe type for handling optional values with enhanced safety
+import { isJust, isNothing, isRight, isOk, traverseWith, sequenceWith, allWith } from './combinators.js';
+
+// How the shared combinators build and recognise Maybes
+const adt = {
+    of: value => Maybe.Just(value),
+    isSuccess: isJust,
+    isFailure: isNothing,
+    failure: () => Maybe.Nothing()
+};
+
 const Maybe = {
     Just: value => ({
         type: 'Just',
@@ -13,11 +23,14 @@ const Maybe = {
         chain: fn => {
             try {
                 const result = fn(value);
-                return result && (result.type === 'Just' || result.type === 'Nothing') ? result : Maybe.Just(result);
+                return isJust(result) || isNothing(result) ? result : Maybe.Just(result);
             } catch (error) {
                 return Maybe.Nothing();
             }
         },
+        // Just(fn).ap(Just(x)) -> Just(fn(x))
+        ap: other => Maybe.chain(argument => Maybe.Just(value).map(fn => fn(argument)))(other),
+        orElse: fn => Maybe.Just(value),
         getOrElse: defaultValue => value,
         fold: (nothingFn, justFn) => {
             try {
@@ -31,6 +44,16 @@ const Maybe = {
         type: 'Nothing',
         map: fn => Maybe.Nothing(),
         chain: fn => Maybe.Nothing(),
+        ap: other => Maybe.Nothing(),
+        // Nothing.orElse(() => Maybe.Just(fallback)) tries an alternative
+        orElse: fn => {
+            try {
+                const result = fn();
+                return isJust(result) || isNothing(result) ? result : Maybe.Just(result);
+            } catch (error) {
+                return Maybe.Nothing();
+            }
+        },
         getOrElse: defaultValue => defaultValue,
         fold: (nothingFn, justFn) => {
             try {
@@ -40,26 +63,36 @@ const Maybe = {
             }
         }
     }),
+    of: value => Maybe.Just(value),
     fromNullable: value => value != null ? Maybe.Just(value) : Maybe.Nothing(),
+    // Conversions: the failure's value or error is dropped
+    fromEither: either => isRight(either) ? Maybe.Just(either.value) : Maybe.Nothing(),
+    fromResult: result => isOk(result) ? Maybe.Just(result.value) : Maybe.Nothing(),
+    isJust,
+    isNothing,
+    // Collections: Just of all the values, or Nothing as soon as one is missing
+    traverse: traverseWith(adt, 'maybe'),
+    sequence: sequenceWith(adt, 'maybe'),
+    all: allWith(adt, 'maybe'),
     // Static helper methods with null safety
     map: fn => maybe => {
         if (!maybe || typeof maybe !== 'object' || !maybe.type) {
             return Maybe.Nothing();
         }
-        return maybe.type === 'Just' ? Maybe.Just(fn(maybe.value)) : Maybe.Nothing();
+        return isJust(maybe) ? Maybe.Just(fn(maybe.value)) : Maybe.Nothing();
     },
     chain: fn => maybe => {
         if (!maybe || typeof maybe !== 'object' || !maybe.type) {
             return Maybe.Nothing();
         }
-        return maybe.type === 'Just' ? fn(maybe.value) : Maybe.Nothing();
+        return isJust(maybe) ? fn(maybe.value) : Maybe.Nothing();
     },
     getOrElse: defaultValue => maybe => {
         if (!maybe || typeof maybe !== 'object' || !maybe.type) {
             return defaultValue;
         }
-        return maybe.type === 'Just' ? maybe.value : defaultValue;
+        return isJust(maybe) ? maybe.value : defaultValue;
     }
 };
 
-export default Maybe; 
\ No newline at end of file
+export default Maybe;
@@ -1,4 +1,14 @@
 // Result type for operation outcomes with enhanced error handling
+import { isJust, isLeft, isRight, isOk, isError, traverseWith, sequenceWith, allWith } from './combinators.js';
+
+// How the shared combinators build and recognise Results
+const adt = {
+    of: value => Result.Ok(value),
+    isSuccess: isOk,
+    isFailure: isError,
+    failure: error => Result.Error(error)
+};
+
 const Result = {
     Ok: value => ({
         type: 'Ok',
@@ -13,11 +23,14 @@ const Result = {
         chain: fn => {
             try {
                 const result = fn(value);
-                return result && (result.type === 'Ok' || result.type === 'Error') ? result : Result.Ok(result);
+                return isOk(result) || isError(result) ? result : Result.Ok(result);
             } catch (error) {
                 return Result.Error(error);
             }
         },
+        // Ok(fn).ap(Ok(x)) -> Ok(fn(x))
+        ap: other => Result.chain(argument => Result.Ok(value).map(fn => fn(argument)))(other),
+        orElse: fn => Result.Ok(value),
         fold: (errorFn, successFn) => {
             try {
                 return successFn(value);
@@ -31,6 +44,16 @@ const Result = {
         error,
         map: fn => Result.Error(error),
         chain: fn => Result.Error(error),
+        ap: other => Result.Error(error),
+        // Error(e).orElse(e => Result.Ok(fallback)) recovers
+        orElse: fn => {
+            try {
+                const result = fn(error);
+                return isOk(result) || isError(result) ? result : Result.Ok(result);
+            } catch (e) {
+                return Result.Error(e);
+            }
+        },
         fold: (errorFn, successFn) => {
             try {
                 return errorFn(error);
@@ -39,6 +62,7 @@ const Result = {
             }
         }
     }),
+    of: value => Result.Ok(value),
     fromTry: fn => {
         try {
             const result = fn();
@@ -47,25 +71,37 @@ const Result = {
             return Result.Error(e);
         }
     },
+    // Conversions: Nothing becomes Error(error), a Left's value becomes the error
+    fromMaybe: (maybe, error = new Error('Value is missing')) => isJust(maybe) ? Result.Ok(maybe.value) : Result.Error(error),
+    fromEither: either => {
+        if (isRight(either)) return Result.Ok(either.value);
+        return isLeft(either) ? Result.Error(either.value) : Result.Error(new Error('Invalid either object'));
+    },
+    isOk,
+    isError,
+    // Collections: Ok of all the values, or the first Error
+    traverse: traverseWith(adt, 'result'),
+    sequence: sequenceWith(adt, 'result'),
+    all: allWith(adt, 'result'),
     // Static helper methods with null safety
     map: fn => result => {
         if (!result || typeof result !== 'object' || !result.type) {
             return Result.Error(new Error('Invalid result object'));
         }
-        return result.type === 'Ok' ? Result.Ok(fn(result.value)) : result;
+        return isOk(result) ? Result.Ok(fn(result.value)) : result;
     },
     chain: fn => result => {
         if (!result || typeof result !== 'object' || !result.type) {
             return Result.Error(new Error('Invalid result object'));
         }
-        return result.type === 'Ok' ? fn(result.value) : result;
+        return isOk(result) ? fn(result.value) : result;
     },
     fold: (errorFn, successFn) => result => {
         if (!result || typeof result !== 'object' || !result.type) {
             return errorFn(new Error('Invalid result object'));
         }
-        return result.type === 'Error' ? errorFn(result.error) : successFn(result.value);
+        return isError(result) ? errorFn(result.error) : successFn(result.value);
     }
 };
 
-export default Result; 
\ No newline at end of file
+export default Result;
@@ -0,0 +1,135 @@
+// Declarative runtime schemas: describe the shape of some data once, check it at the
+// boundary where it enters (content, props, route configs, API responses) and get an
+// Either back, with every problem labelled by its path ('services.2.title').
+// Each schema also infers a default value, used to fill in optional fields.
+import Validation from './validation.js';
+
+const describe = value => Array.isArray(value) ? 'an array' : value === null ? 'null' : `a ${typeof value}`;
+
+const joinPath = (parent, key) => parent === '' ? String(key) : `${parent}.${key}`;
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// [[failed, message], ...] -> Success(value) or a Failure with every message that applies
+const constraints = (value, path, rules) => {
+    const messages = rules.filter(([failed]) => failed).map(([, message]) => message);
+    return messages.length
+        ? Validation.Failure(messages.map(message => ({ path, message })))
+        : Validation.Success(value);
+};
+
+// expected describes the type for messages ('a string'); accepts(value) tests the type only,
+// so a union can tell which of its schemas was meant; check(value, path) runs once the type
+// is right and returns a Validation of the parsed value; defaults() is the inferred default
+const createSchema = ({ kind, expected, accepts, check = value => Validation.Success(value), defaults }) => {
+    const checkValue = (value, path = '') => {
+        if (accepts(value)) return check(value, path);
+        return Validation.fail(value === undefined ? 'is required' : `must be ${expected}, got ${describe(value)}`, path);
+    };
+    return {
+        kind,
+        expected,
+        accepts,
+        check: checkValue,
+        defaults,
+        // Right of the parsed value (optional fields filled in), or Left of [{ path, message }]
+        validate: value => checkValue(value).toEither(),
+        is: value => Validation.isSuccess(checkValue(value))
+    };
+};
+
+const Schema = {
+    string: ({ min, max, pattern, default: fallback = '' } = {}) => createSchema({
+        kind: 'string',
+        expected: 'a string',
+        accepts: value => typeof value === 'string',
+        check: (value, path) => constraints(value, path, [
+            [min != null && value.length < min, `must be at least ${plural(min, 'character')}`],
+            [max != null && value.length > max, `must be at most ${plural(max, 'character')}`],
+            [pattern && !pattern.test(value), `must match ${pattern}`]
+        ]),
+        defaults: () => fallback
+    }),
+
+    number: ({ min, max, integer = false, default: fallback = 0 } = {}) => createSchema({
+        kind: 'number',
+        expected: 'a number',
+        accepts: value => typeof value === 'number' && !Number.isNaN(value),
+        check: (value, path) => constraints(value, path, [
+            [integer && !Number.isInteger(value), 'must be a whole number'],
+            [min != null && value < min, `must be at least ${min}`],
+            [max != null && value > max, `must be at most ${max}`]
+        ]),
+        defaults: () => fallback
+    }),
+
+    boolean: ({ default: fallback = false } = {}) => createSchema({
+        kind: 'boolean',
+        expected: 'a boolean',
+        accepts: value => typeof value === 'boolean',
+        defaults: () => fallback
+    }),
+
+    // One of a fixed list of values; defaults to the first
+    enum: (values, { default: fallback = values[0] } = {}) => createSchema({
+        kind: 'enum',
+        expected: `one of ${values.map(value => JSON.stringify(value)).join(', ')}`,
+        accepts: value => values.includes(value),
+        defaults: () => fallback
+    }),
+
+    array: (item, { min, max, default: fallback = [] } = {}) => createSchema({
+        kind: 'array',
+        expected: 'an array',
+        accepts: Array.isArray,
+        check: (value, path) => {
+            const size = constraints(value, path, [
+                [min != null && value.length < min, `must have at least ${plural(min, 'item')}`],
+                [max != null && value.length > max, `must have at most ${plural(max, 'item')}`]
+            ]);
+            const items = Validation.all(value.map((element, index) => item.check(element, joinPath(path, index))));
+            return Validation.all([size, items]).map(([, parsed]) => parsed);
+        },
+        defaults: () => [...fallback]
+    }),
+
+    // Fields not in shape are kept as they are
+    object: shape => createSchema({
+        kind: 'object',
+        expected: 'an object',
+        accepts: isPlainObject,
+        check: (value, path) => {
+            const keys = Object.keys(shape);
+            return Validation.all(keys.map(key => shape[key].check(value[key], joinPath(path, key))))
+                .map(parsed => ({ ...value, ...Object.fromEntries(keys.map((key, index) => [key, parsed[index]])) }));
+        },
+        defaults: () => Object.fromEntries(Object.keys(shape).map(key => [key, shape[key].defaults()]))
+    }),
+
+    // A missing (undefined or null) value is replaced by fallback, which defaults to the
+    // schema's own default; pass undefined explicitly to leave it missing
+    optional: (schema, ...fallback) => {
+        const defaults = () => fallback.length ? fallback[0] : schema.defaults();
+        return createSchema({
+            kind: 'optional',
+            expected: schema.expected,
+            accepts: value => value == null || schema.accepts(value),
+            check: (value, path) => value == null ? Validation.Success(defaults()) : schema.check(value, path),
+            defaults
+        });
+    },
+
+    // The value is checked against the first schema whose type it has;
+    // defaults to the first schema's default
+    union: (...schemas) => createSchema({
+        kind: 'union',
+        expected: schemas.map(schema => schema.expected).join(' or '),
+        accepts: value => schemas.some(schema => schema.accepts(value)),
+        check: (value, path) => schemas.find(schema => schema.accepts(value)).check(value, path),
+        defaults: () => schemas[0].defaults()
+    })
+};
+
+export default Schema;
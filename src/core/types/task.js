@@ -0,0 +1,149 @@
+// Task type for lazy, cancellable async work. Nothing runs until run(signal) is called,
+// and run always resolves (never rejects) with a Result.
+import Result from './result.js';
+import { isOk, isError, isTask } from './combinators.js';
+
+const abortError = (signal) => {
+    if (signal && signal.reason !== undefined) return signal.reason;
+    return Object.assign(new Error('Task was aborted'), { name: 'AbortError' });
+};
+
+const timeoutError = ms => Object.assign(new Error(`Task timed out after ${ms}ms`), { name: 'TimeoutError' });
+
+// Run computation(signal) and settle it as a Result. Thrown errors and rejections become
+// Result.Error; a returned Result is kept as is. Aborting the signal settles early.
+const settle = (computation, signal) => new Promise(resolve => {
+    if (signal && signal.aborted) {
+        resolve(Result.Error(abortError(signal)));
+        return;
+    }
+    const onAbort = () => resolve(Result.Error(abortError(signal)));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    Promise.resolve()
+        .then(() => computation(signal))
+        .then(value => isOk(value) || isError(value) ? value : Result.Ok(value), error => Result.Error(error))
+        .then(result => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        });
+});
+
+// A controller aborted along with signal, so a task can cancel the work it started
+// without cancelling its caller; release() detaches it once the work is done
+const linkedController = (signal) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal && signal.aborted) {
+        controller.abort(signal.reason);
+    } else if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+    return {
+        controller,
+        release: () => { if (signal) signal.removeEventListener('abort', onAbort); }
+    };
+};
+
+// Whatever chain/orElse callbacks return, run it as a task
+const toTask = value => isTask(value) ? value : Task.fromResult(isOk(value) || isError(value) ? value : Result.Ok(value));
+
+const createTask = computation => ({
+    type: 'Task',
+    run: signal => settle(computation, signal),
+    map: fn => createTask(signal => settle(computation, signal).then(result => result.map(fn))),
+    // fn may return a Task, a Result or a plain value
+    chain: fn => createTask(signal => settle(computation, signal)
+        .then(result => isOk(result) ? toTask(fn(result.value)).run(signal) : result)),
+    // Recover from a failure; fn(error) may return a Task, a Result or a plain value
+    orElse: fn => createTask(signal => settle(computation, signal)
+        .then(result => isError(result) ? toTask(fn(result.error)).run(signal) : result)),
+    // Turn both outcomes into a value: the folded task always succeeds, unless a callback throws
+    fold: (errorFn, successFn) => createTask(signal => settle(computation, signal)
+        .then(result => isOk(result) ? successFn(result.value) : errorFn(result.error))),
+    timeout: ms => Task.timeout(createTask(computation), ms)
+});
+
+// Run tasks side by side under one controller; onSettle(result, index) returns a Result to
+// finish with (the rest are aborted), or undefined to keep waiting
+const runTogether = (tasks, signal, onSettle, onAllSettled) => {
+    const { controller, release } = linkedController(signal);
+    return new Promise(resolve => {
+        let finished = false;
+        const finish = (result) => {
+            if (finished) return;
+            finished = true;
+            controller.abort(abortError());
+            release();
+            resolve(result);
+        };
+        if (!tasks.length) {
+            finish(onAllSettled());
+            return;
+        }
+        let remaining = tasks.length;
+        tasks.forEach((task, index) => {
+            if (!isTask(task)) {
+                finish(Result.Error(new Error('Invalid task object')));
+                return;
+            }
+            task.run(controller.signal).then(result => {
+                const outcome = onSettle(result, index);
+                remaining -= 1;
+                if (outcome) finish(outcome);
+                else if (remaining === 0) finish(onAllSettled());
+            });
+        });
+    });
+};
+
+const Task = {
+    // computation(signal) may return a value, a Result or a promise of either;
+    // it runs on every run(), e.g. Task.tryPromise(signal => fetch(url, { signal }))
+    tryPromise: computation => createTask(computation),
+    // A promise that is already running; aborting settles the task but cannot stop the work
+    fromPromise: promise => createTask(() => promise),
+    of: value => createTask(() => Result.Ok(value)),
+    fail: error => createTask(() => Result.Error(error)),
+    fromResult: result => createTask(() => result),
+    isTask,
+    // Ok of every value (an array, or an object with the same keys), or the first Error;
+    // the first failure aborts the tasks still running
+    all: tasks => {
+        const keys = Array.isArray(tasks) ? null : Object.keys(tasks || {});
+        const list = keys ? keys.map(key => tasks[key]) : tasks;
+        return createTask(signal => {
+            const values = new Array(list.length);
+            return runTogether(list, signal,
+                (result, index) => {
+                    if (isError(result)) return result;
+                    values[index] = result.value;
+                    return undefined;
+                },
+                () => Result.Ok(keys ? Object.fromEntries(keys.map((key, index) => [key, values[index]])) : values));
+        });
+    },
+    // Settles like the first task to settle, Ok or Error; the others are aborted
+    race: tasks => createTask(signal => runTogether(tasks, signal,
+        result => result,
+        () => Result.Error(new Error('Task.race needs at least one task')))),
+    // Fails with a TimeoutError (and aborts the task) unless it settles within ms
+    timeout: (task, ms) => createTask(signal => {
+        const { controller, release } = linkedController(signal);
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => {
+                const error = timeoutError(ms);
+                controller.abort(error);
+                resolve(Result.Error(error));
+            }, ms);
+        });
+        return Promise.race([task.run(controller.signal), expired]).then(result => {
+            clearTimeout(timer);
+            release();
+            return result;
+        });
+    })
+};
+
+export default Task;
@@ -0,0 +1,148 @@
+// Validation type: like Either, but failures accumulate instead of stopping at the first.
+// A Failure holds every problem found as { path, message }, path naming the field
+// ('email', 'items.0.name'; '' for the value itself).
+import Either from './either.js';
+import { isLeft, isRight, isSuccess, isFailure } from './combinators.js';
+
+const messageOf = problem => (problem && problem.message) || String(problem);
+
+// Problems from any source (messages, errors, { path, message } entries) as entries under path
+const toErrors = (problems, path = '') =>
+    (Array.isArray(problems) ? problems : [problems]).map(problem =>
+        problem && typeof problem === 'object' && typeof problem.path === 'string' && typeof problem.message === 'string'
+            ? problem
+            : { path, message: messageOf(problem) });
+
+const joinPath = (parent, key) => parent === '' ? String(key) : `${parent}.${key}`;
+
+// Empty values only fail `required`; every other validator lets them through
+const isEmpty = value =>
+    value == null || (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+const resolveMessage = (message, value) => typeof message === 'function' ? message(value) : message;
+
+// Collect validations of several values: Success of every value, or Failure with all their errors
+const collect = (validations) => {
+    const errors = validations.filter(isFailure).flatMap(validation => validation.errors);
+    return errors.length
+        ? Validation.Failure(errors)
+        : Validation.Success(validations.map(validation => validation.value));
+};
+
+const Validation = {
+    Success: value => ({
+        type: 'Success',
+        value,
+        map: fn => {
+            try {
+                return Validation.Success(fn(value));
+            } catch (error) {
+                return Validation.Failure(error);
+            }
+        },
+        // Dependent checks; like Either, chain stops at the first failure
+        chain: fn => {
+            try {
+                const result = fn(value);
+                return isSuccess(result) || isFailure(result) ? result : Validation.Success(result);
+            } catch (error) {
+                return Validation.Failure(error);
+            }
+        },
+        // Success(fn).ap(Success(x)) -> Success(fn(x)); a Failure on either side is kept
+        ap: other => {
+            if (isFailure(other)) return other;
+            if (!isSuccess(other)) return Validation.Failure(new Error('Invalid validation object'));
+            return Validation.Success(value).map(fn => fn(other.value));
+        },
+        // Like Either.fold, an error thrown by successFn is handed to failureFn
+        fold: (failureFn, successFn) => {
+            try {
+                return successFn(value);
+            } catch (error) {
+                return failureFn(toErrors(error));
+            }
+        },
+        toEither: () => Either.Right(value)
+    }),
+    Failure: problems => {
+        const errors = toErrors(problems);
+        return {
+            type: 'Failure',
+            errors,
+            map: fn => Validation.Failure(errors),
+            chain: fn => Validation.Failure(errors),
+            // Failures on both sides are combined
+            ap: other => Validation.Failure(isFailure(other) ? [...errors, ...other.errors] : errors),
+            fold: (failureFn, successFn) => failureFn(errors),
+            toEither: () => Either.Left(errors)
+        };
+    },
+    of: value => Validation.Success(value),
+    fail: (message, path = '') => Validation.Failure([{ path, message }]),
+    // A Left's value becomes the errors, labelled with path unless they already are entries
+    fromEither: (either, path = '') => {
+        if (isRight(either)) return Validation.Success(either.value);
+        return Validation.Failure(isLeft(either) ? toErrors(either.value, path) : toErrors(new Error('Invalid either object'), path));
+    },
+    isSuccess,
+    isFailure,
+    // Collections: Success of every value (an array, or an object with the same keys),
+    // or one Failure with the errors of all of them
+    all: (validations) => {
+        if (Array.isArray(validations)) return collect(validations);
+        const keys = Object.keys(validations || {});
+        return collect(keys.map(key => validations[key]))
+            .map(values => Object.fromEntries(keys.map((key, index) => [key, values[index]])));
+    },
+    sequence: validations => collect(validations),
+    traverse: fn => items => collect(items.map(fn)),
+
+    // Validators: (value, path = '') => Validation of the value
+
+    // Run every validator on the same value and report all of their errors
+    compose: (...validators) => (value, path = '') =>
+        collect(validators.map(validator => validator(value, path))).map(() => value),
+    // Custom check; message may be a function of the value. Runs on empty values too.
+    check: (predicate, message = 'is invalid') => (value, path = '') =>
+        predicate(value) ? Validation.Success(value) : Validation.fail(resolveMessage(message, value), path),
+    required: (message = 'is required') => (value, path = '') =>
+        isEmpty(value) ? Validation.fail(message, path) : Validation.Success(value),
+    email: (message = 'must be a valid email address') => (value, path = '') =>
+        isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim())
+            ? Validation.Success(value)
+            : Validation.fail(message, path),
+    // Length of a string or array; length({ min: 2, max: 80 })
+    length: ({ min = 0, max = Infinity } = {}, message) => (value, path = '') => {
+        if (isEmpty(value)) return Validation.Success(value);
+        const size = Array.isArray(value) ? value.length : String(value).trim().length;
+        if (size < min) return Validation.fail(resolveMessage(message, value) || `must be at least ${min} characters`, path);
+        if (size > max) return Validation.fail(resolveMessage(message, value) || `must be at most ${max} characters`, path);
+        return Validation.Success(value);
+    },
+    pattern: (regex, message = 'has an invalid format') => (value, path = '') =>
+        isEmpty(value) || regex.test(String(value))
+            ? Validation.Success(value)
+            : Validation.fail(resolveMessage(message, value), path),
+    // Validate fields of an object; shape maps each key to a validator or an array of validators.
+    // Keys not in shape are kept unchecked.
+    object: shape => (value, path = '') => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return Validation.fail('must be an object', path);
+        }
+        const fields = Object.keys(shape).map(key => {
+            const validators = Array.isArray(shape[key]) ? shape[key] : [shape[key]];
+            return Validation.compose(...validators)(value[key], joinPath(path, key));
+        });
+        return collect(fields).map(() => value);
+    },
+    // Validate every item of an array with the same validator
+    array: validator => (value, path = '') => {
+        if (!Array.isArray(value)) {
+            return Validation.fail('must be a list', path);
+        }
+        return collect(value.map((item, index) => validator(item, joinPath(path, index))));
+    }
+};
+
+export default Validation;
@@ -9,33 +9,7 @@ import {
     getPartnersContent,
     getCTAContent
 } from './functions.js';
-
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like list items or team members
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent or a slightly darker card variant
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border for inner cards
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Keeping brand purple --cv-primary-500
-        color: 'hsl(0 0% 98%)', // --primary-foreground (ensure high contrast)
-    },
-    // No secondary button explicitly defined here, but can be added if needed
-};
+import { useNavigate, useTheme } from '../shared/context.js';
 
 // Safe button click handler
 const safeButtonClick = (callback) => {
@@ -50,6 +24,7 @@ const safeButtonClick = (callback) => {
 
 // Page Title Section
 const PageTitleSection = () => {
+    const styles = useTheme();
     const content = getPageTitleContent().getOrElse({});
     return jsx('section', { 
         className: 'py-20 md:py-28'
@@ -72,6 +47,7 @@ const PageTitleSection = () => {
 
 // Company Overview Section
 const CompanyOverviewSection = () => {
+    const styles = useTheme();
     const content = getCompanyOverviewContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20'
@@ -98,6 +74,7 @@ const CompanyOverviewSection = () => {
 
 // Vision and Mission Section
 const VisionMissionSection = () => {
+    const styles = useTheme();
     const content = getVisionMissionContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20'
@@ -132,6 +109,7 @@ const VisionMissionSection = () => {
 
 // Leadership Team Section
 const LeadershipTeamSection = () => {
+    const styles = useTheme();
     const content = getLeadershipTeamContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20'
@@ -176,6 +154,7 @@ const LeadershipTeamSection = () => {
 
 // Approach Section
 const ApproachSection = () => {
+    const styles = useTheme();
     const content = getApproachContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20'
@@ -215,6 +194,7 @@ const ApproachSection = () => {
 
 // Innovations Section
 const InnovationsSection = () => {
+    const styles = useTheme();
     const content = getInnovationsContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -254,6 +234,7 @@ const InnovationsSection = () => {
 
 // Partners Section
 const PartnersSection = () => {
+    const styles = useTheme();
     const content = getPartnersContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -279,7 +260,9 @@ const PartnersSection = () => {
 };
 
 // CTA Section
-const CTASection = ({ onNavigate }) => {
+const CTASection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getCTAContent().getOrElse({});
     return jsx('section', { 
         className: 'py-16 md:py-24' 
@@ -306,16 +289,16 @@ const CTASection = ({ onNavigate }) => {
 };
 
 // Main About Page Component
-const AboutPage = ({ onNavigate }) => {
+const AboutPage = () => {
     return jsx('div', { className: 'pt-16 main-content about-page' }, [
-        PageTitleSection(),
-        CompanyOverviewSection(),
-        VisionMissionSection(),
-        LeadershipTeamSection(),
-        ApproachSection(),
-        InnovationsSection(),
-        PartnersSection(),
-        CTASection({ onNavigate })
+        jsx(PageTitleSection),
+        jsx(CompanyOverviewSection),
+        jsx(VisionMissionSection),
+        jsx(LeadershipTeamSection),
+        jsx(ApproachSection),
+        jsx(InnovationsSection),
+        jsx(PartnersSection),
+        jsx(CTASection)
     ]);
 };
 
@@ -1,4 +1,5 @@
 import Maybe from '../../core/types/maybe.js';
+import Validation from '../../core/types/validation.js';
 
 // Page title content
 export const getPageTitleContent = () => {
@@ -74,4 +75,12 @@ export const getLocationsContent = () => {
         headquarters: "Colorado",
         regionalOffices: "New York, London, Singapore"
     });
-}; 
\ No newline at end of file
+};
+
+// Contact form rules; returns a Validation listing every problem at once
+export const validateContactForm = Validation.object({
+    name: [Validation.required('Please enter your name'), Validation.length({ max: 100 })],
+    email: [Validation.required('Please enter your email'), Validation.email('Please enter a valid email address')],
+    phone: Validation.pattern(/^\+?[\d\s().-]{7,}$/, 'Please enter a valid phone number'),
+    message: [Validation.required('Please enter a message'), Validation.length({ min: 10 }, 'Please write at least 10 characters')]
+});
@@ -5,50 +5,11 @@ import {
     getDemoContent,
     getProjectConsultationContent,
     getFAQPreviewContent,
-    getLocationsContent
+    getLocationsContent,
+    validateContactForm
 } from './functions.js';
-
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like FAQ items
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent or a slightly darker card variant
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border for inner cards
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Keeping brand purple --cv-primary-500
-        color: 'hsl(0 0% 98%)', // --primary-foreground (ensure high contrast)
-    },
-    buttonSecondary: {
-        backgroundColor: 'transparent',
-        borderColor: 'hsl(240 3.7% 15.9%)', // --border
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    inputStyle: {
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --input (or accent)
-        borderColor: 'hsl(240 3.7% 25%)', // Slightly lighter border for inputs
-        color: 'hsl(0 0% 98%)', // --foreground
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        borderRadius: '0.375rem', // Corresponds to rounded-md
-        padding: '0.5rem 0.75rem' // py-2 px-3
-    }
-};
+import { useNavigate, useTheme } from '../shared/context.js';
+import { useState } from '../../systems/render/hooks.js';
 
 // Safe button click handler
 const safeButtonClick = (callback, context = '') => {
@@ -64,6 +25,7 @@ const safeButtonClick = (callback, context = '') => {
 
 // Page Title Section
 const PageTitleSection = () => {
+    const styles = useTheme();
     const content = getPageTitleContent().getOrElse({});
     return jsx('section', { 
         className: 'py-20 md:py-28' 
@@ -86,15 +48,24 @@ const PageTitleSection = () => {
 
 // Contact Options Section
 const ContactOptionsSection = () => {
+    const styles = useTheme();
     const content = getContactOptionsContent().getOrElse({});
+    const [errors, setErrors] = useState([]);
     
     const handleSubmit = (event) => {
         event.preventDefault();
+        const fields = Object.fromEntries(new FormData(event.target));
+        const problems = validateContactForm(fields).fold(found => found, () => []);
+        setErrors(problems);
+        if (problems.length) {
+            return;
+        }
         console.log('Contact form submitted');
         // Basic alert, replace with actual submission logic or UI feedback
         alert('Thank you for your message! We will get back to you soon.');
         event.target.reset(); // Reset form after submission
     };
+    const isInvalid = field => errors.some(error => error.path === field);
     
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -111,7 +82,7 @@ const ContactOptionsSection = () => {
                     className: 'text-3xl font-bold mb-6',
                     style: styles.textPrimary
                 }, content.formHeading || 'Send Us a Message'),
-                jsx('form', { onSubmit: handleSubmit, className: 'space-y-6' }, [
+                jsx('form', { onSubmit: handleSubmit, noValidate: true, className: 'space-y-6' }, [
                     jsx('div', { className: 'form-group' }, [
                         jsx('label', { 
                             htmlFor: 'name', 
@@ -122,6 +93,7 @@ const ContactOptionsSection = () => {
                             type: 'text', 
                             id: 'name', 
                             name: 'name',
+                            'aria-invalid': isInvalid('name'),
                             required: true,
                             className: 'w-full',
                             style: styles.inputStyle
@@ -151,6 +123,7 @@ const ContactOptionsSection = () => {
                             type: 'email', 
                             id: 'email', 
                             name: 'email',
+                            'aria-invalid': isInvalid('email'),
                             required: true,
                             className: 'w-full',
                             style: styles.inputStyle
@@ -166,6 +139,7 @@ const ContactOptionsSection = () => {
                             type: 'tel', 
                             id: 'phone', 
                             name: 'phone',
+                            'aria-invalid': isInvalid('phone'),
                             className: 'w-full',
                             style: styles.inputStyle
                         })
@@ -179,12 +153,18 @@ const ContactOptionsSection = () => {
                         jsx('textarea', { 
                             id: 'message', 
                             name: 'message',
+                            'aria-invalid': isInvalid('message'),
                             rows: 5,
                             required: true,
                             className: 'w-full',
                             style: styles.inputStyle
                         })
                     ]),
+                    errors.length ? jsx('ul', { 
+                        role: 'alert',
+                        className: 'space-y-1 text-sm',
+                        style: styles.textError
+                    }, errors.map((error, index) => jsx('li', { key: index }, error.message))) : null,
                     jsx('button', { 
                         type: 'submit',
                         className: 'font-semibold px-6 py-3 rounded-md shadow-md w-full',
@@ -230,7 +210,8 @@ const ContactOptionsSection = () => {
 };
 
 // Demo Section
-const DemoSection = ({ onNavigate }) => {
+const DemoSection = () => {
+    const styles = useTheme();
     const content = getDemoContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -264,6 +245,7 @@ const DemoSection = ({ onNavigate }) => {
 
 // Project Consultation Section
 const ProjectConsultationSection = () => {
+    const styles = useTheme();
     const content = getProjectConsultationContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -285,7 +267,9 @@ const ProjectConsultationSection = () => {
 };
 
 // FAQ Preview Section
-const FAQPreviewSection = ({ onNavigate }) => {
+const FAQPreviewSection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getFAQPreviewContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -322,6 +306,7 @@ const FAQPreviewSection = ({ onNavigate }) => {
 
 // Locations Section
 const LocationsSection = () => {
+    const styles = useTheme();
     const content = getLocationsContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -355,14 +340,15 @@ const LocationsSection = () => {
 };
 
 // Main Contact Page Component
-const ContactPage = ({ onNavigate }) => {
+// Sections read navigation and theme from context instead of props
+const ContactPage = () => {
     return jsx('div', { className: 'pt-16 main-content contact-page' }, [
-        PageTitleSection(),
-        ContactOptionsSection(),
-        DemoSection({ onNavigate }),
-        ProjectConsultationSection(),
-        FAQPreviewSection({ onNavigate }),
-        LocationsSection()
+        jsx(PageTitleSection),
+        jsx(ContactOptionsSection),
+        jsx(DemoSection),
+        jsx(ProjectConsultationSection),
+        jsx(FAQPreviewSection),
+        jsx(LocationsSection)
     ]);
 };
 
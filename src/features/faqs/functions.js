@@ -1,4 +1,6 @@
 import Maybe from '../../core/types/maybe.js';
+import Schema from '../../core/types/schema.js';
+import { checkContent } from '../shared/content.js';
 
 // Page title content
 export const getPageTitleContent = () => {
@@ -21,9 +23,20 @@ export const getSearchCategoriesContent = () => {
     });
 };
 
+// Shape of the FAQ categories content
+export const faqCategoriesSchema = Schema.object({
+    categories: Schema.array(Schema.object({
+        name: Schema.string({ min: 1 }),
+        questions: Schema.array(Schema.object({
+            question: Schema.string({ min: 1 }),
+            answer: Schema.string({ min: 1 })
+        }))
+    }))
+});
+
 // FAQ categories content
 export const getFAQCategoriesContent = () => {
-    return Maybe.Just({
+    return checkContent('FAQ categories', faqCategoriesSchema, {
         categories: [
             {
                 name: "General Questions",
@@ -1,60 +1,15 @@
 import { jsx } from '../../core/runtime/jsx.js';
+import { PropTypes } from '../../core/runtime/prop-types.js';
+import { useState } from '../../systems/render/hooks.js';
 import { 
     getPageTitleContent,
     getSearchCategoriesContent,
     getFAQCategoriesContent,
+    faqCategoriesSchema,
     getContactContent,
     getResourcesContent
 } from './functions.js';
-
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like FAQ items
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Brand purple
-        color: 'hsl(0 0% 98%)', // High contrast text
-    },
-    buttonSecondary: {
-        backgroundColor: 'transparent',
-        borderColor: 'hsl(240 3.7% 15.9%)', // --border
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    inputStyle: {
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --input (or accent)
-        borderColor: 'hsl(240 3.7% 25%)',
-        color: 'hsl(0 0% 98%)',
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        borderRadius: '0.375rem', // rounded-md
-        padding: '0.5rem 0.75rem' // py-2 px-3
-    },
-    categoryTag: { // Style for category buttons
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // Accent
-        color: 'hsl(0 0% 98%)', // Foreground
-        padding: '0.25rem 0.75rem', // py-1 px-3
-        borderRadius: '0.375rem', // rounded-md
-        border: '1px solid hsl(240 3.7% 25%)'
-    }
-};
+import { useNavigate, useTheme } from '../shared/context.js';
 
 // Safe button click handler
 const safeButtonClick = (callback, context = '') => {
@@ -70,6 +25,7 @@ const safeButtonClick = (callback, context = '') => {
 
 // Page Title Section
 const PageTitleSection = () => {
+    const styles = useTheme();
     const content = getPageTitleContent().getOrElse({});
     return jsx('section', { 
         className: 'py-20 md:py-28' 
@@ -92,6 +48,7 @@ const PageTitleSection = () => {
 
 // Search and Categories Section
 const SearchCategoriesSection = () => {
+    const styles = useTheme();
     const content = getSearchCategoriesContent().getOrElse({});
     const handleSearch = (event) => {
         const searchTerm = event.target.value.toLowerCase();
@@ -139,16 +96,10 @@ const SearchCategoriesSection = () => {
 
 // FAQ Item Component
 const FAQItem = ({ question, answer }) => {
-    // Simple state for open/closed, ideally use a more robust state management for many items
-    let isOpen = false; 
+    const styles = useTheme();
+    const [isOpen, setIsOpen] = useState(false);
 
-    const toggleAnswer = (event) => {
-        const button = event.currentTarget;
-        const answerEl = button.nextElementSibling;
-        isOpen = !isOpen; // Toggle state
-        answerEl.style.display = isOpen ? 'block' : 'none';
-        button.querySelector('.indicator').textContent = isOpen ? '−' : '+';
-    };
+    const toggleAnswer = () => setIsOpen(open => !open);
     
     return jsx('div', { 
         className: 'p-4 rounded-md',
@@ -156,6 +107,7 @@ const FAQItem = ({ question, answer }) => {
     }, [
         jsx('button', {
             onClick: toggleAnswer,
+            'aria-expanded': isOpen ? 'true' : 'false',
             className: 'w-full flex justify-between items-center text-left font-semibold',
             style: styles.textPrimary
         }, [
@@ -163,25 +115,31 @@ const FAQItem = ({ question, answer }) => {
             jsx('span', { 
                 className: 'indicator text-xl',
                 style: { color: 'hsl(240 5% 64.9%)' } // Muted foreground for +/- 
-            }, '+')
+            }, isOpen ? '−' : '+')
         ]),
         jsx('div', {
             className: 'mt-2 faq-answer', // Added faq-answer for clarity
-            style: { display: 'none', ...styles.textMuted }
+            style: { display: isOpen ? 'block' : 'none', ...styles.textMuted }
         }, jsx('p', {className: 'leading-relaxed'}, answer || ''))
     ]);
 };
 
+FAQItem.propSchema = {
+    question: PropTypes.string.isRequired,
+    answer: PropTypes.string.isRequired
+};
+
 // FAQ Categories Section
 const FAQCategoriesSection = () => {
-    const content = getFAQCategoriesContent().getOrElse({});
+    const styles = useTheme();
+    const content = getFAQCategoriesContent().getOrElse(faqCategoriesSchema.defaults());
     return jsx('section', { 
         className: 'py-12 md:py-20' 
     }, [
         jsx('div', { 
             className: 'container mx-auto px-4 sm:px-6 lg:px-8 space-y-12' 
         }, 
-            (content.categories || []).map((category, index) => 
+            content.categories.map((category, index) => 
                 jsx('div', { 
                     key: index,
                     className: 'p-8 rounded-lg shadow-lg',
@@ -190,12 +148,13 @@ const FAQCategoriesSection = () => {
                     jsx('h2', { 
                         className: 'text-3xl sm:text-4xl font-bold mb-8 text-center',
                         style: styles.textPrimary
-                    }, category.name || 'Category'),
+                    }, category.name),
                     jsx('div', { 
                         className: 'space-y-4' 
                     },
-                        (category.questions || []).map((faq, faqIndex) => 
-                            FAQItem({ 
+                        category.questions.map((faq, faqIndex) => 
+                            jsx(FAQItem, { 
+                                key: faqIndex,
                                 question: faq.question, 
                                 answer: faq.answer 
                             })
@@ -208,7 +167,9 @@ const FAQCategoriesSection = () => {
 };
 
 // Contact Section
-const ContactSection = ({ onNavigate }) => {
+const ContactSection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getContactContent().getOrElse({});
     return jsx('section', { 
         className: 'py-16 md:py-24' 
@@ -236,6 +197,7 @@ const ContactSection = ({ onNavigate }) => {
 
 // Resources Section
 const ResourcesSection = () => {
+    const styles = useTheme();
     const content = getResourcesContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -273,13 +235,13 @@ const ResourcesSection = () => {
 };
 
 // Main FAQs Page Component
-const FAQsPage = ({ onNavigate }) => {
+const FAQsPage = () => {
     return jsx('div', { className: 'pt-16 main-content faqs-page' }, [
-        PageTitleSection(),
-        SearchCategoriesSection(),
-        FAQCategoriesSection(),
-        ContactSection({ onNavigate }),
-        ResourcesSection()
+        jsx(PageTitleSection),
+        jsx(SearchCategoriesSection),
+        jsx(FAQCategoriesSection),
+        jsx(ContactSection),
+        jsx(ResourcesSection)
     ]);
 };
 
@@ -1,4 +1,4 @@
-import { jsx, render } from '../../core/runtime/jsx.js';
+import { jsx, render, hydrate, unmount } from '../../core/runtime/jsx.js';
 import { 
     getHeroContent,
     getDigitalTransformationContent,
@@ -11,57 +11,58 @@ import {
 import Navigation from '../navigation/index.js';
 import { getCurrentPage, handleNavigation, initializeRouting, getPageFromPath } from '../navigation/functions.js';
 import { createStore } from '../../systems/state/store.js';
+import { compose, just, prop, preview, set } from '../../systems/state/lens.js';
 import { createErrorBoundary, setupGlobalErrorHandler } from '../../systems/errors/boundary.js';
+import { installDiagnosticsOverlay } from '../../systems/errors/diagnostics-overlay.js';
+import { installComponentInspector } from '../../systems/render/inspector.js';
 import Maybe from '../../core/types/maybe.js';
 import Result from '../../core/types/result.js';
 import Either from '../../core/types/either.js';
 import { initSEO } from '../../core/seo/index.js';
-
-// Import all page components
-import ServicesPage from '../services/index.js';
-import AboutPage from '../about/index.js';
-import ContactPage from '../contact/index.js';
-import FAQsPage from '../faqs/index.js';
-import MissionPage from '../mission/index.js';
+import { lazy } from '../../systems/render/lazy.js';
+import { memo } from '../../systems/render/memo.js';
+import { scheduleRender } from '../../systems/render/scheduler.js';
+import { NavigationContext, ThemeContext, LocaleContext, theme, useNavigate, useTheme, useLocale } from '../shared/context.js';
 
 // Create store for page state
 const pageStore = createStore(Maybe.Just({ currentPage: 'home' }));
 
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like service items
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent or a slightly darker card variant
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border for inner cards
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Keeping brand purple --cv-primary-500
-        color: 'hsl(0 0% 98%)', // --primary-foreground (ensure high contrast)
-    },
-    buttonSecondary: {
-        backgroundColor: 'transparent',
-        borderColor: 'hsl(240 3.7% 15.9%)', // --border
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        color: 'hsl(0 0% 98%)' // --foreground (for text on transparent button)
-    },
-    // Hover for secondary button can be managed with JS event handlers or kept simpler
-    // For now, let's rely on Tailwind's hover transition for visual feedback if any
+// pageStore state -> the current page id
+const currentPageLens = compose(just, prop('currentPage'));
+
+// Shown while a page's code is loading
+const PageLoadingFallback = () => {
+    const styles = useTheme();
+    return jsx('div', { className: 'pt-16 min-h-screen flex items-center justify-center', role: 'status', 'aria-live': 'polite' }, [
+        jsx('p', { className: 'text-lg', style: styles.textMuted }, 'Loading…')
+    ]);
+};
+
+// Memoized too, so a store update that keeps the current page doesn't rebuild it.
+// A failed load is shown by the page's error boundary, whose reset imports it again.
+const lazyPage = load => {
+    const page = lazy(load, { fallback: PageLoadingFallback });
+    return Object.assign(memo(page), { preload: page.preload });
 };
 
+// Page components are loaded on first visit
+const ServicesPage = lazyPage(() => import('../services/index.js'));
+const AboutPage = lazyPage(() => import('../about/index.js'));
+const ContactPage = lazyPage(() => import('../contact/index.js'));
+const FAQsPage = lazyPage(() => import('../faqs/index.js'));
+const MissionPage = lazyPage(() => import('../mission/index.js'));
+
+const lazyPages = {
+    services: ServicesPage,
+    about: AboutPage,
+    contact: ContactPage,
+    faqs: FAQsPage,
+    mission: MissionPage
+};
+
+// Resolves once a page's code is available, rejects if it failed to load; the homepage is always bundled
+const preloadPage = pageId => lazyPages[pageId] ? lazyPages[pageId].preload() : Promise.resolve();
+
 // Safe navigation handler with better error checking
 const safeNavigate = (pageId) => {
     console.log(`[Homepage] Safe navigate called for page: ${pageId}`);
@@ -70,15 +71,11 @@ const safeNavigate = (pageId) => {
             throw new Error('Page ID is required');
         }
         
-        pageStore.update(state => 
-            state.chain(pageState => {
-                console.log(`[Homepage] Updating store state to page: ${pageId}`);
-                return Maybe.Just({ ...pageState, currentPage: pageId });
-            })
-        );
+        console.log(`[Homepage] Updating store state to page: ${pageId}`);
+        pageStore.update(set(currentPageLens, pageId));
         
         const navResult = handleNavigation(pageId);
-        if (navResult && navResult.type === 'Left') {
+        if (Either.isLeft(navResult)) {
             throw new Error(`Navigation failed: ${navResult.value}`);
         }
         
@@ -91,14 +88,16 @@ const safeNavigate = (pageId) => {
 const safeButtonClick = (callback) => {
     return () => {
         const result = Result.fromTry(callback);
-        if (result && result.type === 'Error') {
+        if (Result.isError(result)) {
             console.error('Button click error:', result.error);
         }
     };
 };
 
 // Hero Section Component
-const HeroSection = ({ onNavigate }) => {
+const HeroSection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getHeroContent().getOrElse({});
     
     return jsx('section', { 
@@ -140,6 +139,7 @@ const HeroSection = ({ onNavigate }) => {
 
 // Digital Transformation Section
 const DigitalTransformationSection = () => {
+    const styles = useTheme();
     const content = getDigitalTransformationContent().getOrElse({});
     
     return jsx('section', { 
@@ -163,6 +163,7 @@ const DigitalTransformationSection = () => {
 
 // Web3 Benefits Section
 const Web3Section = () => {
+    const styles = useTheme();
     const content = getWeb3Content().getOrElse({});
     
     return jsx('section', { 
@@ -205,6 +206,7 @@ const Web3Section = () => {
 
 // Core Services Section
 const CoreServicesSection = () => {
+    const styles = useTheme();
     const content = getCoreServicesContent().getOrElse({});
     
     return jsx('section', { 
@@ -246,6 +248,7 @@ const CoreServicesSection = () => {
 
 // Why CryptoVersus Section
 const WhyCryptoVersusSection = () => {
+    const styles = useTheme();
     const content = getWhyCryptoVersusContent().getOrElse({});
     
     return jsx('section', { 
@@ -280,7 +283,9 @@ const WhyCryptoVersusSection = () => {
 };
 
 // CTA Section
-const CTASection = ({ onNavigate }) => {
+const CTASection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getCTAContent().getOrElse({});
     
     return jsx('section', { 
@@ -304,7 +309,7 @@ const CTASection = ({ onNavigate }) => {
                 key: index,
                 onClick: safeButtonClick(() => {
                     const result = handleCTAClick(button.action, onNavigate);
-                    if (result && result.type === 'Error') {
+                    if (Result.isError(result)) {
                         console.error('CTA click error:', result.error);
                     }
                 }),
@@ -315,17 +320,20 @@ const CTASection = ({ onNavigate }) => {
     ]);
 };
 
+// Current year in the page locale; an unknown locale falls back to plain digits
+const formatYear = locale => Result.fromTry(() => new Intl.DateTimeFormat(locale, { year: 'numeric' }).format(new Date()))
+    .fold(() => String(new Date().getFullYear()), year => year);
+
 // Footer Component
 const Footer = () => {
-    const currentYear = new Date().getFullYear();
+    const styles = useTheme();
+    const onNavigate = useNavigate();
+    const currentYear = formatYear(useLocale());
     const footerStyle = {
         backgroundColor: 'hsl(240 4.8% 9.5%)',
         color: 'hsl(240 5% 64.9%)',
         borderTop: '1px solid hsl(240 3.7% 15.9%)'
     };
-    const linkStyle = {
-        color: 'hsl(0 0% 98%)'
-    };
 
     return jsx('footer', {
         className: 'py-8 text-center',
@@ -334,42 +342,55 @@ const Footer = () => {
         jsx('div', { className: 'container mx-auto px-4 sm:px-6 lg:px-8' }, [
             jsx('p', {}, `© ${currentYear} CryptoVersus.io. All rights reserved.`),
             jsx('p', { className: 'mt-2 text-sm' }, [
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('home'); }, className: 'hover:underline px-2', style: linkStyle }, 'Home'),
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('home'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'Home'),
                 '|',
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('services'); }, className: 'hover:underline px-2', style: linkStyle }, 'Services'),
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('services'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'Services'),
                 '|',
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('about'); }, className: 'hover:underline px-2', style: linkStyle }, 'About Us'),
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('about'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'About Us'),
                 '|',
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('contact'); }, className: 'hover:underline px-2', style: linkStyle }, 'Contact'),
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('contact'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'Contact'),
                 '|',
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('mission'); }, className: 'hover:underline px-2', style: linkStyle }, 'Mission'),
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('mission'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'Mission'),
                 '|',
-                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); safeNavigate('faqs'); }, className: 'hover:underline px-2', style: linkStyle }, 'FAQs')
+                jsx('a', { href: '#', onClick: (e) => { e.preventDefault(); onNavigate('faqs'); }, className: 'hover:underline px-2', style: styles.textPrimary }, 'FAQs')
             ])
         ])
     ]);
 };
 
 // Main Homepage Component
-const Homepage = ({ currentPage, onNavigate }) => {
+const Homepage = () => {
     return jsx('div', { className: 'pt-16' }, [
-        HeroSection({ onNavigate }),
-        DigitalTransformationSection(),
-        Web3Section(),
-        CoreServicesSection(),
-        WhyCryptoVersusSection(),
-        CTASection({ onNavigate })
+        jsx(HeroSection),
+        jsx(DigitalTransformationSection),
+        jsx(Web3Section),
+        jsx(CoreServicesSection),
+        jsx(WhyCryptoVersusSection),
+        jsx(CTASection)
     ]);
 };
 
+// Shell pieces that only change with their props; the store re-renders WebsiteApp on every update
+const MemoHomepage = memo(Homepage);
+const MemoNavigation = memo(Navigation);
+const MemoFooter = memo(Footer);
+
 // Error fallback component
-const HomepageErrorFallback = (error) => {
+const HomepageErrorFallback = (error, { errorId, reset }) => {
     return jsx('div', {
+        role: 'alert',
         style: 'color: red; padding: 20px; border: 1px solid red; margin: 20px; border-radius: 4px;'
     }, [
         jsx('h3', null, 'Homepage Error'),
         jsx('p', null, `Something went wrong: ${error?.message || 'Unknown error'}`),
+        jsx('p', { style: 'font-size: 0.875rem; margin-top: 6px;' }, `Error ID: ${errorId}`),
         jsx('button', {
+            type: 'button',
+            onClick: reset,
+            style: 'padding: 10px 20px; margin-top: 10px; margin-right: 10px; cursor: pointer;'
+        }, 'Try again'),
+        jsx('button', {
+            type: 'button',
             onClick: () => window.location.reload(),
             style: 'padding: 10px 20px; margin-top: 10px; cursor: pointer;'
         }, 'Reload Page')
@@ -379,35 +400,40 @@ const HomepageErrorFallback = (error) => {
 // Create error boundary for homepage
 const HomepageWithErrorBoundary = createErrorBoundary(HomepageErrorFallback);
 
+// Page content gets its own boundary so navigation and footer survive a failing page
+const PageWithErrorBoundary = createErrorBoundary(HomepageErrorFallback);
+
+// Navigation handler shared by every page through NavigationContext
+const handleNavigate = (pageId) => {
+    try {
+        const result = safeNavigate(pageId);
+        if (Result.isError(result)) {
+            console.error('Navigation failed:', result.error);
+            // Don't throw, just log the error
+        }
+    } catch (error) {
+        console.error('Critical navigation error:', error);
+    }
+};
+
 // Website App Component with improved error handling
 const WebsiteApp = ({ currentPage }) => {
-    const handleNavigate = (pageId) => {
-        try {
-            const result = safeNavigate(pageId);
-            if (result && result.type === 'Error') {
-                console.error('Navigation failed:', result.error);
-                // Don't throw, just log the error
-            }
-        } catch (error) {
-            console.error('Critical navigation error:', error);
-        }
-    };
 
     // Render the appropriate page component based on currentPage
     const renderPageComponent = () => {
         switch (currentPage) {
             case 'home':
-                return Homepage({ currentPage, onNavigate: handleNavigate });
+                return jsx(MemoHomepage);
             case 'services':
-                return ServicesPage({ onNavigate: handleNavigate });
+                return jsx(ServicesPage);
             case 'about':
-                return AboutPage({ onNavigate: handleNavigate });
+                return jsx(AboutPage);
             case 'contact':
-                return ContactPage({ onNavigate: handleNavigate });
+                return jsx(ContactPage);
             case 'faqs':
-                return FAQsPage({ onNavigate: handleNavigate });
+                return jsx(FAQsPage);
             case 'mission':
-                return MissionPage({ onNavigate: handleNavigate });
+                return jsx(MissionPage);
             default:
                 // Fallback for unknown pages
                 return jsx('div', { className: 'section' }, [
@@ -423,14 +449,23 @@ const WebsiteApp = ({ currentPage }) => {
         }
     };
 
-    return jsx('div', { className: 'overflow-x-hidden max-w-full' }, [
-        Navigation({ currentPage, onNavigate: handleNavigate }),
-        jsx('div', { id: 'mobile-nav-overlay', className: 'md:hidden hidden fixed inset-0 backdrop-blur-sm bg-transparent z-40' }),
-        jsx('main', { className: 'overflow-x-hidden max-w-full' }, [
-            renderPageComponent(),
-            Footer()
-        ])
-    ]);
+    const locale = (typeof document !== 'undefined' && document.documentElement.lang) || 'en';
+
+    // Navigation, theme and locale reach every section through context
+    return jsx(NavigationContext.Provider, { value: handleNavigate },
+        jsx(ThemeContext.Provider, { value: theme },
+            jsx(LocaleContext.Provider, { value: locale },
+                jsx('div', { className: 'overflow-x-hidden max-w-full' }, [
+                    jsx(MemoNavigation, { currentPage }),
+                    jsx('main', { className: 'overflow-x-hidden max-w-full' }, [
+                        // Keyed by page so navigating away also clears a caught error
+                        jsx(PageWithErrorBoundary, { key: currentPage }, renderPageComponent()),
+                        jsx(MemoFooter)
+                    ])
+                ])
+            )
+        )
+    );
 };
 
 // Initialize the website with better error handling
@@ -448,7 +483,7 @@ const initWebsite = (containerId) => {
         // Initialize SEO system
         console.log(`[Homepage] Initializing SEO system...`);
         const seoResult = initSEO();
-        if (seoResult.type === 'Error') {
+        if (Result.isError(seoResult)) {
             console.warn(`[Homepage] SEO initialization failed:`, seoResult.error);
         } else {
             console.log(`[Homepage] SEO system initialized successfully`);
@@ -462,6 +497,12 @@ const initWebsite = (containerId) => {
         console.log(`[Homepage] Setting up global error handlers...`);
         const cleanupGlobalErrors = setupGlobalErrorHandler();
 
+        // Runtime diagnostics overlay, shown with ?debug=1 (see src/core/runtime/config.js)
+        const removeDiagnosticsOverlay = installDiagnosticsOverlay();
+
+        // Component tree inspector, shown with ?inspect=1
+        const removeComponentInspector = installComponentInspector(container);
+
         // Get initial page from URL path instead of hash
         console.log(`[Homepage] Determining initial page from URL...`);
         const initialPage = getPageFromPath().getOrElse('home');
@@ -470,47 +511,67 @@ const initWebsite = (containerId) => {
         // Listen for navigation change events
         window.addEventListener('navigationChange', (event) => {
             console.log(`[Homepage] Navigation change event received for page: ${event.detail.page}`);
-            pageStore.update(state => 
-                state.chain(pageState => Maybe.Just({ ...pageState, currentPage: event.detail.page }))
-            );
+            pageStore.update(set(currentPageLens, event.detail.page));
         });
 
-        // Subscribe to state changes and render
-        console.log(`[Homepage] Setting up store subscription...`);
-        const unsubscribe = pageStore.subscribe(pageState => {
-            try {
-                const currentPageData = pageState.getOrElse({ currentPage: 'home' });
-                console.log(`[Homepage] Rendering page: ${currentPageData.currentPage}`);
-                
-                const websiteElement = WebsiteApp({ currentPage: currentPageData.currentPage });
-
-                // Wrap in error boundary
-                const safeWebsiteElement = HomepageWithErrorBoundary({
-                    children: websiteElement
-                });
+        // Prerendered markup is hydrated on the first render instead of being replaced
+        let shouldHydrate = Boolean(container.firstElementChild);
 
-                const renderResult = render(safeWebsiteElement, container);
+        // Commit one page render; runs when the render scheduler flushes
+        const commitPage = (element, target) => {
+            try {
+                const renderResult = shouldHydrate
+                    ? hydrate(element, target)
+                    : render(element, target);
+                shouldHydrate = false;
 
                 // Handle render errors more gracefully
-                if (renderResult && renderResult.type === 'Left') {
-                    console.error(`[Homepage] Render failed for page ${currentPageData.currentPage}:`, renderResult.value);
-                    container.innerHTML = `<div style="color: red; padding: 20px;">Render Error: ${renderResult.value}</div>`;
+                if (Either.isLeft(renderResult)) {
+                    console.error(`[Homepage] Render failed:`, renderResult.value);
+                    target.innerHTML = `<div style="color: red; padding: 20px;">Render Error: ${renderResult.value}</div>`;
                 } else {
-                    console.log(`[Homepage] Page ${currentPageData.currentPage} rendered successfully`);
+                    console.log(`[Homepage] Page rendered successfully`);
                 }
+                return renderResult;
             } catch (error) {
                 console.error(`[Homepage] Critical render error for page:`, error);
-                container.innerHTML = `<div style="color: red; padding: 20px;">Critical Error: ${error.message}</div>`;
+                target.innerHTML = `<div style="color: red; padding: 20px;">Critical Error: ${error.message}</div>`;
+                return Either.Left(error);
             }
+        };
+
+        // Subscribe to state changes and render; updates within one frame
+        // (navigation plus its navigationChange event) are rendered once
+        console.log(`[Homepage] Setting up store subscription...`);
+        const unsubscribe = pageStore.subscribe(pageState => {
+            const currentPage = preview(currentPageLens)(pageState).getOrElse('home');
+            console.log(`[Homepage] Scheduling render for page: ${currentPage}`);
+
+            // Wrap in error boundary
+            const safeWebsiteElement = jsx(HomepageWithErrorBoundary, {},
+                jsx(WebsiteApp, { currentPage })
+            );
+            scheduleRender(container, safeWebsiteElement, commitPage, `pageStore update (currentPage: ${currentPage})`);
         });
 
         // Initial render with error handling
-        try {
+        const triggerInitialRender = () => {
             console.log(`[Homepage] Triggering initial render...`);
-            pageStore.update(state => {
-                return state.chain(pageState => Maybe.Just({ ...pageState, currentPage: initialPage }));
-            });
+            pageStore.update(set(currentPageLens, initialPage));
             console.log(`[Homepage] Initial render triggered successfully`);
+        };
+
+        try {
+            if (shouldHydrate) {
+                // Prerendered markup can only be adopted once the page's code has loaded.
+                // A failed load still renders, so the page's error boundary can show it.
+                preloadPage(initialPage).catch(() => {}).then(() => Result.fromTry(triggerInitialRender).fold(
+                    error => console.error(`[Homepage] Initial render failed:`, error),
+                    () => {}
+                ));
+            } else {
+                triggerInitialRender();
+            }
         } catch (error) {
             console.error(`[Homepage] Initial render failed:`, error);
             return Either.Left(error);
@@ -523,6 +584,9 @@ const initWebsite = (containerId) => {
             console.log(`[Homepage] Cleaning up website resources...`);
             if (unsubscribe) unsubscribe();
             if (cleanupGlobalErrors) cleanupGlobalErrors();
+            removeDiagnosticsOverlay();
+            removeComponentInspector();
+            unmount(container);
             window.removeEventListener('popstate', () => {}); // This will be handled by navigation
             console.log(`[Homepage] Cleanup completed`);
         });
@@ -7,39 +7,7 @@ import {
     getLeadershipMessageContent,
     getJoinUsContent
 } from './functions.js';
-
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like values or goals
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Brand purple
-        color: 'hsl(0 0% 98%)', // High contrast text
-    },
-    buttonSecondary: {
-        backgroundColor: 'transparent',
-        borderColor: 'hsl(240 3.7% 15.9%)', // --border
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        color: 'hsl(0 0% 98%)' // --foreground
-    }
-};
+import { useNavigate, useTheme } from '../shared/context.js';
 
 // Safe button click handler
 const safeButtonClick = (callback, context = '') => {
@@ -55,6 +23,7 @@ const safeButtonClick = (callback, context = '') => {
 
 // Page Title Section
 const PageTitleSection = () => {
+    const styles = useTheme();
     const content = getPageTitleContent().getOrElse({});
     return jsx('section', { 
         className: 'py-20 md:py-28' 
@@ -73,6 +42,7 @@ const PageTitleSection = () => {
 
 // Mission Statement Section
 const MissionStatementSection = () => {
+    const styles = useTheme();
     const content = getMissionStatementContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -99,6 +69,7 @@ const MissionStatementSection = () => {
 
 // Vision and Values Section
 const VisionValuesSection = () => {
+    const styles = useTheme();
     const content = getVisionValuesContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -149,6 +120,7 @@ const VisionValuesSection = () => {
 
 // Impact Goals Section
 const ImpactGoalsSection = () => {
+    const styles = useTheme();
     const content = getImpactGoalsContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -188,6 +160,7 @@ const ImpactGoalsSection = () => {
 
 // Leadership Message Section
 const LeadershipMessageSection = () => {
+    const styles = useTheme();
     const content = getLeadershipMessageContent().getOrElse({});
     return jsx('section', { 
         className: 'py-12 md:py-20' 
@@ -213,7 +186,9 @@ const LeadershipMessageSection = () => {
 };
 
 // Join Us Section
-const JoinUsSection = ({ onNavigate }) => {
+const JoinUsSection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getJoinUsContent().getOrElse({});
     return jsx('section', { 
         className: 'py-16 md:py-24' 
@@ -245,14 +220,14 @@ const JoinUsSection = ({ onNavigate }) => {
 };
 
 // Main Mission Page Component
-const MissionPage = ({ onNavigate }) => {
+const MissionPage = () => {
     return jsx('div', { className: 'pt-16 main-content mission-page' }, [
-        PageTitleSection(),
-        MissionStatementSection(),
-        VisionValuesSection(),
-        ImpactGoalsSection(),
-        LeadershipMessageSection(),
-        JoinUsSection({ onNavigate })
+        jsx(PageTitleSection),
+        jsx(MissionStatementSection),
+        jsx(VisionValuesSection),
+        jsx(ImpactGoalsSection),
+        jsx(LeadershipMessageSection),
+        jsx(JoinUsSection)
     ]);
 };
 
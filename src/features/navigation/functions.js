@@ -1,6 +1,7 @@
 // Navigation utility functions
 import Maybe from '../../core/types/maybe.js';
 import Either from '../../core/types/either.js';
+import Result from '../../core/types/result.js';
 import { updatePageSEO } from '../../core/seo/index.js';
 
 // Navigation state
@@ -35,7 +36,7 @@ const setCurrentPage = (page) => {
         
         // Update SEO for the new page
         const seoResult = updatePageSEO(page);
-        if (seoResult.type === 'Error') {
+        if (Result.isError(seoResult)) {
             console.warn(`[Navigation] SEO update failed for page ${page}:`, seoResult.error);
         } else {
             console.log(`[Navigation] SEO updated successfully for page: ${page}`);
@@ -1,4 +1,6 @@
 import Maybe from '../../core/types/maybe.js';
+import Schema from '../../core/types/schema.js';
+import { checkContent } from '../shared/content.js';
 
 // Page title content
 export const getPageTitleContent = () => {
@@ -8,9 +10,20 @@ export const getPageTitleContent = () => {
     });
 };
 
+// Shape of the services content
+export const servicesContentSchema = Schema.object({
+    services: Schema.array(Schema.object({
+        id: Schema.string({ min: 1 }),
+        title: Schema.string({ min: 1 }),
+        icon: Schema.optional(Schema.string()),
+        description: Schema.string(),
+        features: Schema.optional(Schema.array(Schema.string()))
+    }))
+});
+
 // Services content
 export const getServicesContent = () => {
-    return Maybe.Just({
+    return checkContent('Services', servicesContentSchema, {
         services: [
             {
                 id: 'compute',
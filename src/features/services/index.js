@@ -2,43 +2,12 @@ import { jsx } from '../../core/runtime/jsx.js';
 import { 
     getPageTitleContent,
     getServicesContent,
+    servicesContentSchema,
     getAIIntegrationContent,
     getPricingPackagesContent,
     getConsultationCTAContent
 } from './functions.js';
-
-// Define HSL styles for shadcn/ui dark theme
-const styles = {
-    card: {
-        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
-        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    textPrimary: { // For main headings, important text
-        color: 'hsl(0 0% 98%)' // --foreground
-    },
-    textMuted: { // For paragraphs, less important text
-        color: 'hsl(240 5% 64.9%)' // --muted-foreground
-    },
-    innerCard: { // For cards within cards, like service items or pricing packages
-        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent or a slightly darker card variant
-        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border for inner cards
-        borderWidth: '1px',
-        borderStyle: 'solid'
-    },
-    buttonPrimary: {
-        backgroundColor: '#667eea', // Keeping brand purple --cv-primary-500
-        color: 'hsl(0 0% 98%)', // --primary-foreground (ensure high contrast)
-    },
-    buttonSecondary: {
-        backgroundColor: 'transparent',
-        borderColor: 'hsl(240 3.7% 15.9%)', // --border
-        borderWidth: '1px',
-        borderStyle: 'solid',
-        color: 'hsl(0 0% 98%)' // --foreground (for text on transparent button)
-    }
-};
+import { useNavigate, useTheme } from '../shared/context.js';
 
 // Safe button click handler
 const safeButtonClick = (callback) => {
@@ -53,6 +22,7 @@ const safeButtonClick = (callback) => {
 
 // Page Title Section - Updated to match homepage hero structure
 const PageTitleSection = () => {
+    const styles = useTheme();
     const content = getPageTitleContent().getOrElse({});
     
     return jsx('section', { 
@@ -75,7 +45,9 @@ const PageTitleSection = () => {
 };
 
 // Individual Service Section - Updated for card layout
-const ServiceSection = ({ service, onNavigate }) => {
+const ServiceSection = ({ service }) => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     return jsx('section', { 
         className: 'py-12 md:py-16' // Consistent vertical padding for sections
     }, [
@@ -87,16 +59,16 @@ const ServiceSection = ({ service, onNavigate }) => {
                 jsx('h2', { 
                     className: 'text-3xl sm:text-4xl font-bold',
                     style: styles.textPrimary
-                }, service.title || '')
+                }, service.title)
             ]),
             jsx('p', { 
                 className: 'text-lg leading-relaxed mb-6', // Adjusted for readability
                 style: styles.textMuted
-            }, service.description || ''),
+            }, service.description),
             jsx('ul', { 
                 className: 'space-y-3 mb-8' // Spacing for list items
             }, 
-                (service.features || []).map((feature, index) => 
+                service.features.map((feature, index) => 
                     jsx('li', { 
                         key: index,
                         className: 'flex items-start p-3 rounded-md', // Slightly less padding for inner items
@@ -130,6 +102,7 @@ const ServiceSection = ({ service, onNavigate }) => {
 
 // AI Integration Section - Updated for card layout
 const AIIntegrationSection = () => {
+    const styles = useTheme();
     const content = getAIIntegrationContent().getOrElse({});
     
     return jsx('section', { 
@@ -169,7 +142,9 @@ const AIIntegrationSection = () => {
 };
 
 // Pricing Packages Section - Updated for card layout
-const PricingPackagesSection = ({ onNavigate }) => {
+const PricingPackagesSection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getPricingPackagesContent().getOrElse({});
         
     return jsx('section', { 
@@ -223,7 +198,9 @@ const PricingPackagesSection = ({ onNavigate }) => {
 };
 
 // Consultation CTA Section - Updated for card layout
-const ConsultationCTASection = ({ onNavigate }) => {
+const ConsultationCTASection = () => {
+    const styles = useTheme();
+    const onNavigate = useNavigate();
     const content = getConsultationCTAContent().getOrElse({});
     
     return jsx('section', { 
@@ -251,19 +228,19 @@ const ConsultationCTASection = ({ onNavigate }) => {
 };
 
 // Main Services Page Component
-const ServicesPage = ({ onNavigate }) => {
-    const servicesContent = getServicesContent().getOrElse({});
+const ServicesPage = () => {
+    const servicesContent = getServicesContent().getOrElse(servicesContentSchema.defaults());
     
     // pt-16 to account for fixed navigation bar
     return jsx('div', { className: 'pt-16 main-content services-page' }, [ 
-        PageTitleSection(),
+        jsx(PageTitleSection),
         // Render all service sections
-        ...(servicesContent.services || []).map((service, index) => 
-            ServiceSection({ service, onNavigate, key: service.id || index }) // Added key
+        ...servicesContent.services.map(service => 
+            jsx(ServiceSection, { service, key: service.id })
         ),
-        AIIntegrationSection(),
-        PricingPackagesSection({ onNavigate }),
-        ConsultationCTASection({ onNavigate })
+        jsx(AIIntegrationSection),
+        jsx(PricingPackagesSection),
+        jsx(ConsultationCTASection)
     ]);
 };
 
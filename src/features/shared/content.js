@@ -0,0 +1,14 @@
+// Page content checked once against its schema (src/core/types/schema.js), so components
+// can use every field as is instead of guarding each one with `|| ''`
+import Maybe from '../../core/types/maybe.js';
+
+// Just the parsed content (optional fields filled in), or Nothing with the problems logged
+export const checkContent = (name, schema, content) =>
+    schema.validate(content).fold(
+        errors => {
+            console.warn(`[Content] ${name} content does not match its schema:`,
+                errors.map(error => `${error.path || '(root)'} ${error.message}`));
+            return Maybe.Nothing();
+        },
+        parsed => Maybe.Just(parsed)
+    );
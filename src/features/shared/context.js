@@ -0,0 +1,77 @@
+// App-wide contexts: navigation, theme tokens and locale, provided once by WebsiteApp
+import { createContext, useContext } from '../../systems/render/context.js';
+
+// HSL styles for the shadcn/ui dark theme, shared by every page
+const theme = {
+    card: {
+        backgroundColor: 'hsl(240 4.8% 9.5%)', // --card
+        borderColor: 'hsl(240 3.7% 15.9%)',   // --border
+        borderWidth: '1px',
+        borderStyle: 'solid'
+    },
+    textPrimary: { // For main headings, important text
+        color: 'hsl(0 0% 98%)' // --foreground
+    },
+    textMuted: { // For paragraphs, less important text
+        color: 'hsl(240 5% 64.9%)' // --muted-foreground
+    },
+    textError: { // For validation messages
+        color: 'hsl(0 62.8% 50.6%)' // --destructive
+    },
+    innerCard: { // For cards within cards
+        backgroundColor: 'hsl(240 3.7% 15.9%)', // --accent or a slightly darker card variant
+        borderColor: 'hsl(240 3.7% 20%)', // A slightly different border for inner cards
+        borderWidth: '1px',
+        borderStyle: 'solid'
+    },
+    buttonPrimary: {
+        backgroundColor: '#667eea', // Keeping brand purple --cv-primary-500
+        color: 'hsl(0 0% 98%)', // --primary-foreground (ensure high contrast)
+    },
+    buttonSecondary: {
+        backgroundColor: 'transparent',
+        borderColor: 'hsl(240 3.7% 15.9%)', // --border
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        color: 'hsl(0 0% 98%)' // --foreground
+    },
+    inputStyle: {
+        backgroundColor: 'hsl(240 3.7% 15.9%)', // --input (or accent)
+        borderColor: 'hsl(240 3.7% 25%)', // Slightly lighter border for inputs
+        color: 'hsl(0 0% 98%)', // --foreground
+        borderWidth: '1px',
+        borderStyle: 'solid',
+        borderRadius: '0.375rem', // Corresponds to rounded-md
+        padding: '0.5rem 0.75rem' // py-2 px-3
+    },
+    categoryTag: { // Style for category buttons
+        backgroundColor: 'hsl(240 3.7% 15.9%)', // Accent
+        color: 'hsl(0 0% 98%)', // Foreground
+        padding: '0.25rem 0.75rem', // py-1 px-3
+        borderRadius: '0.375rem', // rounded-md
+        border: '1px solid hsl(240 3.7% 25%)'
+    }
+};
+
+// Outside a provider navigation can't happen; say so instead of failing silently
+const missingNavigate = pageId => {
+    console.warn(`[Navigation] No NavigationContext provider; cannot navigate to ${pageId}`);
+};
+
+const NavigationContext = createContext(missingNavigate);
+const ThemeContext = createContext(theme);
+const LocaleContext = createContext('en');
+
+const useNavigate = () => useContext(NavigationContext);
+const useTheme = () => useContext(ThemeContext);
+const useLocale = () => useContext(LocaleContext);
+
+export {
+    theme,
+    NavigationContext,
+    ThemeContext,
+    LocaleContext,
+    useNavigate,
+    useTheme,
+    useLocale
+};
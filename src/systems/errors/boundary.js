@@ -1,94 +1,48 @@
 import Either from '../../core/types/either.js';
-import Result from '../../core/types/result.js';
-import { jsx } from '../../core/runtime/jsx.js';
-
-// Error logging with sensitive data redaction
-const errorLogger = {
-    sensitiveKeys: ['password', 'token', 'secret', 'key', 'auth'],
-
-    sanitizeError: error => {
-        if (!error) {
-            return { message: 'Undefined error object' };
-        }
-        if (typeof error !== 'object') {
-            return { message: String(error) }; // Convert non-objects to string
-        }
-
-        const sanitized = { ...error }; // Spread even if it's an error instance
-        // Ensure 'message' property exists, even if empty
-        if (!sanitized.hasOwnProperty('message') && error.message) {
-            sanitized.message = error.message;
-        }
-
-        errorLogger.sensitiveKeys.forEach(key => {
-            if (key in sanitized) {
-                sanitized[key] = '[REDACTED]';
-            }
-        });
-        return sanitized;
-    },
-
-    logError: error => {
-        const timestamp = new Date().toISOString();
-        const sanitizedError = errorLogger.sanitizeError(error);
-        
-        // Add more context if the error is still minimal
-        if (Object.keys(sanitizedError).length === 0 && error) {
-            console.error(`[${timestamp}] FlexNet Secure Error (minimal object):`, error);
-        } else {
-            console.error(`[${timestamp}] FlexNet Secure Error:`, sanitizedError);
-        }
-        
-        // Log stack trace if available
-        if (error && error.stack) {
-            console.error(`[${timestamp}] Error Stack Trace:`, error.stack);
-        }
-        
-        return sanitizedError;
-    }
-};
-
-// Error boundary factory function
-const createErrorBoundary = (fallbackComponent) => {
-    let hasError = false;
-    let error = null;
+import { jsx, Fragment } from '../../core/runtime/jsx.js';
+import { useCaughtError, useEffect } from '../render/hooks.js';
+import { reportDiagnostic } from '../../core/runtime/diagnostics.js';
+import { errorLogger } from './logger.js';
+
+const errorMessage = error => error && error.message ? error.message : 'Unknown error';
+
+const defaultFallback = (error, { errorId, reset }) =>
+    jsx('div', {
+        role: 'alert',
+        style: 'color: red; padding: 10px; border: 1px solid red; margin: 10px;'
+    }, [
+        jsx('p', null, `Something went wrong: ${errorMessage(error)}`),
+        jsx('p', { style: 'font-size: 0.875em;' }, `Error ID: ${errorId}`),
+        jsx('button', { type: 'button', onClick: reset }, 'Try again')
+    ]);
+
+// Error boundary factory function.
+// Render the result with jsx(Boundary, {}, children): each instance catches errors thrown while
+// rendering its subtree and shows fallbackComponent(error, { errorId, reset }) until reset.
+const createErrorBoundary = (fallbackComponent = defaultFallback) => {
+    // Resets of the mounted instances, for ErrorBoundary.reset()
+    const instances = new Set();
 
     const ErrorBoundary = ({ children }) => {
-        // Handle errors that occur during rendering
-        const safeRender = () => {
-            return Result.fromTry(() => {
-                if (hasError) {
-                    return fallbackComponent 
-                        ? fallbackComponent(error) 
-                        : jsx('div', { 
-                            style: 'color: red; padding: 10px; border: 1px solid red; margin: 10px;' 
-                          }, `Something went wrong: ${error && error.message ? error.message : 'Unknown error'}`);
-                }
-                return children;
-            });
-        };
+        const { error, errorId, reset } = useCaughtError();
 
-        const renderResult = safeRender();
-        
-        if (renderResult && renderResult.type === 'Error') {
-            hasError = true;
-            error = renderResult.error;
-            errorLogger.logError(renderResult.error);
-            
-            return fallbackComponent 
-                ? fallbackComponent(renderResult.error)
-                : jsx('div', { 
-                    style: 'color: red; padding: 10px; border: 1px solid red; margin: 10px;'
-                  }, `Rendering Error: ${renderResult.error && renderResult.error.message ? renderResult.error.message : 'Details unavailable'}`);
-        }
+        useEffect(() => {
+            instances.add(reset);
+            return () => instances.delete(reset);
+        }, []);
 
-        return renderResult ? renderResult.value : children;
+        if (error) {
+            return fallbackComponent(error, { errorId, reset });
+        }
+        return jsx(Fragment, {}, children);
     };
 
-    // Reset error boundary
+    // Tells the reconciler to catch failures in this component's subtree
+    ErrorBoundary.isErrorBoundary = true;
+
+    // Reset every mounted instance of this boundary
     ErrorBoundary.reset = () => {
-        hasError = false;
-        error = null;
+        instances.forEach(reset => reset());
     };
 
     return ErrorBoundary;
@@ -99,11 +53,13 @@ const setupGlobalErrorHandler = () => {
     const handleError = event => {
         event.preventDefault();
         errorLogger.logError(event.error);
+        reportDiagnostic('uncaught-error', event.error || event.message);
     };
 
     const handleUnhandledRejection = event => {
         event.preventDefault();
         errorLogger.logError(event.reason);
+        reportDiagnostic('unhandled-rejection', event.reason);
     };
 
     window.addEventListener('error', handleError);
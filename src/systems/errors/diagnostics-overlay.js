@@ -0,0 +1,109 @@
+// On-page overlay listing runtime diagnostics; only installed when diagnostics are enabled
+import { jsx, unmount } from '../../core/runtime/jsx.js';
+import { isDiagnosticsEnabled } from '../../core/runtime/config.js';
+import { getDiagnostics, clearDiagnostics, subscribeDiagnostics } from '../../core/runtime/diagnostics.js';
+import { useState } from '../render/hooks.js';
+import { scheduleRender, cancelRender } from '../render/scheduler.js';
+
+const overlayId = 'flexnet-diagnostics';
+
+const styles = {
+    panel: {
+        position: 'fixed',
+        right: '1rem',
+        bottom: '1rem',
+        zIndex: '2147483647',
+        width: 'min(36rem, calc(100vw - 2rem))',
+        maxHeight: '40vh',
+        overflowY: 'auto',
+        backgroundColor: 'hsl(240 10% 3.9%)',
+        color: 'hsl(0 0% 98%)',
+        border: '1px solid hsl(0 62.8% 50.6%)',
+        borderRadius: '0.5rem',
+        fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+        fontSize: '12px'
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '0.5rem 0.75rem',
+        borderBottom: '1px solid hsl(240 3.7% 15.9%)'
+    },
+    button: {
+        marginLeft: '0.5rem',
+        padding: '0.125rem 0.5rem',
+        backgroundColor: 'transparent',
+        color: 'inherit',
+        border: '1px solid hsl(240 3.7% 25%)',
+        borderRadius: '0.25rem',
+        cursor: 'pointer'
+    },
+    entry: {
+        padding: '0.5rem 0.75rem',
+        borderBottom: '1px solid hsl(240 3.7% 15.9%)'
+    },
+    kind: {
+        color: 'hsl(0 72% 65%)',
+        marginRight: '0.5rem'
+    },
+    muted: {
+        color: 'hsl(240 5% 64.9%)'
+    }
+};
+
+const DiagnosticEntry = ({ entry }) =>
+    jsx('li', { style: styles.entry }, [
+        jsx('span', { style: styles.kind }, entry.kind),
+        entry.message,
+        entry.detail ? jsx('div', { style: styles.muted }, entry.detail) : null,
+        entry.componentStack.length
+            ? jsx('div', { style: styles.muted }, `in ${entry.componentStack.join(' < ')}`)
+            : null
+    ]);
+
+const DiagnosticsOverlay = ({ entries }) => {
+    const [expanded, setExpanded] = useState(true);
+    if (!entries.length) {
+        return null;
+    }
+    return jsx('aside', { style: styles.panel, 'aria-label': 'Runtime diagnostics' }, [
+        jsx('div', { style: styles.header }, [
+            jsx('strong', {}, `Runtime diagnostics (${entries.length})`),
+            jsx('div', {}, [
+                jsx('button', { type: 'button', style: styles.button, onClick: () => setExpanded(open => !open) },
+                    expanded ? 'Hide' : 'Show'),
+                jsx('button', { type: 'button', style: styles.button, onClick: clearDiagnostics }, 'Clear')
+            ])
+        ]),
+        expanded
+            ? jsx('ol', { style: { listStyle: 'none', margin: '0', padding: '0' } },
+                [...entries].reverse().map(entry => jsx(DiagnosticEntry, { key: entry.id, entry })))
+            : null
+    ]);
+};
+
+// Show collected diagnostics in their own container at the end of <body>.
+// Renders are frame-scheduled so reports made mid-render never re-enter the reconciler.
+// Returns a function that removes the overlay.
+const installDiagnosticsOverlay = () => {
+    if (!isDiagnosticsEnabled() || typeof document === 'undefined') {
+        return () => {};
+    }
+    const container = document.getElementById(overlayId) || document.createElement('div');
+    container.id = overlayId;
+    document.body.appendChild(container);
+
+    const show = entries => scheduleRender(container, jsx(DiagnosticsOverlay, { entries }));
+    show(getDiagnostics());
+    const unsubscribe = subscribeDiagnostics(show);
+
+    return () => {
+        unsubscribe();
+        cancelRender(container);
+        unmount(container);
+        container.remove();
+    };
+};
+
+export { installDiagnosticsOverlay };
@@ -0,0 +1,52 @@
+// Error logging with sensitive data redaction
+const errorLogger = {
+    sensitiveKeys: ['password', 'token', 'secret', 'key', 'auth'],
+
+    sanitizeError: error => {
+        if (!error) {
+            return { message: 'Undefined error object' };
+        }
+        if (typeof error !== 'object') {
+            return { message: String(error) }; // Convert non-objects to string
+        }
+
+        const sanitized = { ...error }; // Spread even if it's an error instance
+        // Ensure 'message' property exists, even if empty
+        if (!sanitized.hasOwnProperty('message') && error.message) {
+            sanitized.message = error.message;
+        }
+
+        errorLogger.sensitiveKeys.forEach(key => {
+            if (key in sanitized) {
+                sanitized[key] = '[REDACTED]';
+            }
+        });
+        return sanitized;
+    },
+
+    // Short ID shown to users next to an error so it can be found in the logs
+    createErrorId: () =>
+        `ERR-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`.toUpperCase(),
+
+    logError: (error, errorId = null) => {
+        const timestamp = new Date().toISOString();
+        const sanitizedError = errorLogger.sanitizeError(error);
+        const label = errorId ? ` [${errorId}]` : '';
+        
+        // Add more context if the error is still minimal
+        if (Object.keys(sanitizedError).length === 0 && error) {
+            console.error(`[${timestamp}] FlexNet Secure Error${label} (minimal object):`, error);
+        } else {
+            console.error(`[${timestamp}] FlexNet Secure Error${label}:`, sanitizedError);
+        }
+        
+        // Log stack trace if available
+        if (error && error.stack) {
+            console.error(`[${timestamp}] Error Stack Trace${label}:`, error.stack);
+        }
+        
+        return sanitizedError;
+    }
+};
+
+export { errorLogger };
@@ -0,0 +1,19 @@
+// Context: values provided by a component to every descendant without passing props
+import { jsx, Fragment } from '../../core/runtime/jsx.js';
+import { useContext, useContextProvider } from './hooks.js';
+
+// createContext(defaultValue) -> { Provider, defaultValue }
+// Render jsx(Context.Provider, { value }, children); read it below with useContext(Context)
+const createContext = (defaultValue) => {
+    const context = { defaultValue };
+
+    const Provider = ({ value, children }) => {
+        useContextProvider(context, value);
+        return jsx(Fragment, {}, children);
+    };
+
+    context.Provider = Provider;
+    return context;
+};
+
+export { createContext, useContext };
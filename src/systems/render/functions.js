@@ -1,49 +1,642 @@
 // Advanced rendering system functions
-import { pipe } from '../../core/functions/composition.js';
 import Result from '../../core/types/result.js';
+import Either from '../../core/types/either.js';
+import { logSafeError } from '../../core/runtime/helpers.js';
+import { encodeText, isTrusted } from '../../core/security/functions.js';
+import { createTextNode, createElementIn, resolveAttribute, setProp, updateProps, updateOptionProps, clearEventHandlers } from '../../core/runtime/dom.js';
+import { namespaces, describeProp, elementNamespace, childNamespace } from '../../core/runtime/props.js';
+import { registerRoot, unregisterRoot } from '../../core/runtime/events.js';
+import { isFragmentType, isPortalType, isComponentType, validatePortalContainer } from '../../core/runtime/builtins.js';
+import { reportDiagnostic, componentStack } from '../../core/runtime/diagnostics.js';
+import { errorLogger } from '../errors/logger.js';
+import {
+    createInstance,
+    withInstance,
+    currentOwner,
+    withOwner,
+    queueEffects,
+    flushEffects,
+    effectsCheckpoint,
+    discardEffects,
+    disposeInstance
+} from './hooks.js';
+import {
+    queueAttach,
+    updateRef,
+    detachElement,
+    attachmentsCheckpoint,
+    discardAttachments,
+    flushAttachments
+} from './lifecycle.js';
 
-// Virtual DOM utilities
+// Type tag for text vnodes; '#text' can never clash with a tag name
+const TEXT = '#text';
+
+// Last committed virtual tree for each container
+const mountedTrees = new WeakMap();
+
+const textVNode = value => ({ type: TEXT, key: null, value: String(value) });
+
+const errorMessageOf = error => (error && error.message) || error || 'Unknown error';
+
+// Virtual DOM utilities: normalize one element into a vnode.
+// Children stay raw until the reconciler reaches them.
 const createVirtualDOM = (element) => {
     return Result.fromTry(() => {
+        if (element === null || element === undefined || typeof element === 'boolean') {
+            return textVNode('');
+        }
         if (typeof element === 'string' || typeof element === 'number') {
-            return { type: 'text', value: String(element) };
+            return textVNode(element);
+        }
+        // trusted() only vouches for attribute values; as a child it is still text
+        if (isTrusted(element)) {
+            return textVNode(element.value);
+        }
+        if (typeof element !== 'object') {
+            logSafeError('createVirtualDOM', `Invalid element: expected object, got ${typeof element}`, `Element value: ${element}`);
+            reportDiagnostic('invalid-element', `Invalid element: expected object, got ${typeof element}`);
+            return textVNode('[Invalid Element]');
+        }
+        if (Either.isRight(element)) {
+            return createVirtualDOM(element.value).fold(error => { throw error; }, vnode => vnode);
         }
-        
-        if (!element || !element.type) {
-            return { type: 'text', value: '' };
+        if (Either.isLeft(element)) {
+            logSafeError('createVirtualDOM', element.value, 'Child contains Left value from createElement');
+            reportDiagnostic('invalid-element', element.value, 'Rendered as [Invalid Element]');
+            return textVNode('[Invalid Element]');
         }
-        
+        if (typeof element.type !== 'string' && typeof element.type !== 'function') {
+            throw new Error(`Invalid element type: ${typeof element.type}`);
+        }
+
+        const { children, key, ...props } = element.props || {};
+        const childList = [children].flat(Infinity).filter(child => child != null);
         return {
             type: element.type,
-            props: element.props || {},
-            children: (element.props?.children || []).map(createVirtualDOM)
+            key: key != null ? key : null,
+            props: isComponentType(element.type) ? { ...props, children } : props,
+            // An empty fragment still keeps one (empty) text node as its place in the parent
+            children: isFragmentType(element.type) && childList.length === 0 ? [''] : childList
         };
     });
 };
 
-// Simple reconciliation (placeholder for more advanced diffing)
-const reconcile = existingDOM => vdom => {
+const toVNode = element =>
+    createVirtualDOM(element).fold(error => { throw error; }, vnode => vnode);
+
+const isComponent = vnode => isComponentType(vnode.type);
+const isFragment = vnode => isFragmentType(vnode.type);
+const isPortal = vnode => isPortalType(vnode.type);
+
+// A memo component (see memo.js) whose props haven't changed since its last render
+const isMemoSkip = (oldVNode, vnode) =>
+    typeof vnode.type.propsEqual === 'function' && vnode.type.propsEqual(oldVNode.props, vnode.props);
+
+// DOM nodes backing a vnode, in order. Components render through their child,
+// fragments through all of their children, portals leave a placeholder behind.
+const getDOMNodes = (vnode) => {
+    if (!vnode) return [];
+    if (isComponent(vnode)) return getDOMNodes(vnode.child);
+    if (isFragment(vnode)) return vnode.children.flatMap(getDOMNodes);
+    return vnode.dom ? [vnode.dom] : [];
+};
+
+// First DOM node backing a vnode
+const getDOMNode = vnode => getDOMNodes(vnode)[0] || null;
+
+// Node right after a vnode's last DOM node, used to keep fragment children in place
+const nextSiblingOf = (vnodes) => {
+    const nodes = vnodes.flatMap(getDOMNodes);
+    return nodes.length ? nodes[nodes.length - 1].nextSibling : null;
+};
+
+// Release listeners, refs and lifecycle callbacks held by a vnode subtree
+const unmountVNode = (vnode) => {
+    if (!vnode) return;
+    if (isComponent(vnode)) {
+        disposeInstance(vnode.instance);
+        unmountVNode(vnode.child);
+        return;
+    }
+    if (isPortal(vnode)) {
+        // Portal content lives in another container, so it is removed explicitly
+        vnode.children.forEach(removeVNode);
+        unregisterRoot(vnode.props.container, vnode.dom);
+        return;
+    }
+    (vnode.children || []).forEach(unmountVNode);
+    if (vnode.type !== TEXT && vnode.dom) {
+        detachElement(vnode.dom, vnode.props);
+        clearEventHandlers(vnode.dom);
+    }
+};
+
+// Unmount first so onUnmount and cleanups still see the nodes in the document
+const removeVNode = (vnode) => {
+    const nodes = getDOMNodes(vnode);
+    unmountVNode(vnode);
+    nodes.forEach(dom => {
+        if (dom.parentNode) {
+            dom.parentNode.removeChild(dom);
+        }
+    });
+};
+
+// Namespace for a container's children, so rendering into an <svg> creates SVG nodes
+const containerNamespace = container =>
+    childNamespace(container.localName, container.namespaceURI || namespaces.html);
+
+const portalContainer = vnode =>
+    validatePortalContainer(vnode.props.container).fold(error => { throw new Error(error); }, container => container);
+
+// Portal children are diffed straight into their target container
+const diffPortal = (oldVNode, vnode) => {
+    const container = portalContainer(vnode);
+    const oldChildren = oldVNode ? oldVNode.children : [];
+    // The placeholder stays the same across updates, so it identifies the portal to the event system
+    const dom = oldVNode ? oldVNode.dom : createTextNode('');
+    registerRoot(container, dom);
+    const children = diffChildren(container, oldChildren, vnode.children, containerNamespace(container), nextSiblingOf(oldChildren));
+    return { ...vnode, dom, children };
+};
+
+const renderComponent = (vnode) => {
+    const componentResult = Result.fromTry(() => withInstance(vnode.instance, () => vnode.type(vnode.props)));
+    if (Result.isError(componentResult)) {
+        logSafeError('reconcile-functional-component', componentResult.error, `Component function: ${vnode.type.name || 'anonymous'}`);
+        const error = new Error(`Component error: ${errorMessageOf(componentResult.error)}`);
+        // Where it failed, for diagnostics reported after the stack has unwound
+        error.componentStack = componentStack(vnode.instance);
+        throw error;
+    }
+    return componentResult.value;
+};
+
+// Queued refs and effects, so a render that is abandoned can drop what it queued
+const commitCheckpoint = () => ({ effects: effectsCheckpoint(), attachments: attachmentsCheckpoint() });
+
+const discardCommit = (checkpoint) => {
+    discardEffects(checkpoint.effects);
+    discardAttachments(checkpoint.attachments);
+};
+
+// Notified after every commit, e.g. by the component inspector
+const commitListeners = new Set();
+
+const subscribeCommits = (listener) => {
+    commitListeners.add(listener);
+    return () => commitListeners.delete(listener);
+};
+
+// After the DOM is committed: refs and onMount first, so effects can use them
+const flushCommit = () => {
+    flushAttachments();
+    flushEffects();
+    commitListeners.forEach(listener => listener());
+};
+
+// DOM span a vnode occupies, bounded by the siblings around it
+const captureRegion = (vnode) => {
+    const nodes = getDOMNodes(vnode);
+    if (!nodes.length || !nodes[0].parentNode) return null;
+    return { parent: nodes[0].parentNode, before: nodes[0].previousSibling, after: nodes[nodes.length - 1].nextSibling };
+};
+
+// Remove whatever a failed diff left between the region's outer siblings
+const clearRegion = (region) => {
+    let node = region.before ? region.before.nextSibling : region.parent.firstChild;
+    while (node && node !== region.after) {
+        const next = node.nextSibling;
+        region.parent.removeChild(node);
+        node = next;
+    }
+};
+
+// Error boundaries whose subtree is being diffed; the innermost one catches failures
+const boundaryStack = [];
+
+const nearestBoundary = () => boundaryStack.length ? boundaryStack[boundaryStack.length - 1] : null;
+
+const withinBoundary = (instance, work) => {
+    boundaryStack.push(instance);
+    try {
+        return work();
+    } finally {
+        boundaryStack.pop();
+    }
+};
+
+// Render a component and diff its output, with the component as owner of its subtree
+const diffRendered = (vnode, oldChild, namespace) =>
+    withOwner(vnode.instance, () => diffNode(oldChild, toVNode(renderComponent(vnode)), namespace));
+
+// Switch a boundary to its fallback, replacing whatever the failed diff left in its region
+const renderFallback = (vnode, oldChild, region, error) => {
+    const errorId = errorLogger.createErrorId();
+    vnode.instance.caught = { error, errorId };
+    errorLogger.logError(error, errorId);
+    reportDiagnostic('caught-error', error, `Error boundary fallback shown (${errorId})`);
+
+    if (region) clearRegion(region);
+    unmountVNode(oldChild);
+    const fallback = diffRendered(vnode, null, vnode.namespace);
+    if (region) {
+        getDOMNodes(fallback).forEach(dom => region.parent.insertBefore(dom, region.after));
+    }
+    return fallback;
+};
+
+// Render a component and diff its output. An error boundary that is not already showing
+// its fallback catches failures from its subtree and re-renders with the caught error.
+const diffComponentChild = (vnode, oldChild, namespace) => {
+    if (!vnode.type.isErrorBoundary || vnode.instance.caught) {
+        return diffRendered(vnode, oldChild, namespace);
+    }
+
+    const region = captureRegion(oldChild);
+    const checkpoint = commitCheckpoint();
+    const diffResult = Result.fromTry(() =>
+        withinBoundary(vnode.instance, () => diffRendered(vnode, oldChild, namespace)));
+    if (Result.isOk(diffResult)) {
+        return diffResult.value;
+    }
+    discardCommit(checkpoint);
+    return renderFallback(vnode, oldChild, region, diffResult.error);
+};
+
+// Give a component its instance, then build its rendered output with buildChild.
+// The namespace is kept so later self-updates create children in the right one.
+const mountComponent = (vnode, namespace, buildChild) => {
+    const next = { ...vnode, namespace, child: null };
+    const instance = createInstance(() => updateInstance(instance), currentOwner());
+    instance.boundary = nearestBoundary();
+    next.instance = instance;
+    instance.vnode = next;
+    try {
+        next.child = buildChild(next);
+    } catch (error) {
+        disposeInstance(instance);
+        throw error;
+    }
+    queueEffects(instance);
+    return next;
+};
+
+// Build DOM for a vnode that has no previous counterpart
+const mountVNode = (vnode, namespace) => {
+    if (vnode.type === TEXT) {
+        return { ...vnode, dom: createTextNode(vnode.value) };
+    }
+    if (isComponent(vnode)) {
+        return mountComponent(vnode, namespace, next => diffComponentChild(next, null, namespace));
+    }
+    if (isFragment(vnode)) {
+        // Built off-document; the parent's diff moves the nodes into place
+        return { ...vnode, children: diffChildren(document.createDocumentFragment(), [], vnode.children, namespace) };
+    }
+    if (isPortal(vnode)) {
+        return diffPortal(null, vnode);
+    }
+
+    const elementNs = elementNamespace(vnode.type, namespace);
+    const dom = createElementIn(vnode.type, elementNs);
+    updateProps(dom, {}, vnode.props, vnode.type);
+    const children = diffChildren(dom, [], vnode.children, childNamespace(vnode.type, elementNs));
+    updateOptionProps(dom, {}, vnode.props, vnode.type);
+    queueAttach(dom, vnode.props);
+    return { ...vnode, dom, children };
+};
+
+// Patch an existing vnode of the same type in place
+const updateVNode = (oldVNode, vnode, namespace) => {
+    if (vnode.type === TEXT) {
+        if (oldVNode.value !== vnode.value) {
+            oldVNode.dom.nodeValue = encodeText(vnode.value);
+        }
+        return { ...vnode, dom: oldVNode.dom };
+    }
+    if (isFragment(vnode)) {
+        const first = getDOMNode(oldVNode);
+        const parentDom = (first && first.parentNode) || document.createDocumentFragment();
+        const children = diffChildren(parentDom, oldVNode.children, vnode.children, namespace, nextSiblingOf(oldVNode.children));
+        return { ...vnode, children };
+    }
+    if (isPortal(vnode)) {
+        return diffPortal(oldVNode, vnode);
+    }
+    if (isComponent(vnode)) {
+        const next = { ...vnode, namespace, instance: oldVNode.instance, child: oldVNode.child };
+        next.instance.vnode = next;
+        // Memoized components keep their output while props compare equal
+        if (isMemoSkip(oldVNode, vnode)) {
+            return next;
+        }
+        next.child = diffComponentChild(next, oldVNode.child, namespace);
+        queueEffects(next.instance);
+        return next;
+    }
+
+    const dom = oldVNode.dom;
+    updateProps(dom, oldVNode.props, vnode.props, vnode.type);
+    const children = diffChildren(dom, oldVNode.children, vnode.children, childNamespace(vnode.type, dom.namespaceURI));
+    updateOptionProps(dom, oldVNode.props, vnode.props, vnode.type);
+    updateRef(dom, oldVNode.props, vnode.props);
+    return { ...vnode, dom, children };
+};
+
+// Same type, and for portals the same target container
+const canReuse = (oldVNode, vnode) =>
+    oldVNode.type === vnode.type && (!isPortal(vnode) || oldVNode.props.container === vnode.props.container);
+
+// Diff one node; a replacement takes over the old node's DOM position
+const diffNode = (oldVNode, vnode, namespace = namespaces.html) => {
+    const reusable = oldVNode && canReuse(oldVNode, vnode) ? oldVNode : null;
+    const next = reusable ? updateVNode(reusable, vnode, namespace) : mountVNode(vnode, namespace);
+
+    if (oldVNode && !reusable) {
+        const oldDom = getDOMNode(oldVNode);
+        if (oldDom && oldDom.parentNode) {
+            getDOMNodes(next).forEach(dom => oldDom.parentNode.insertBefore(dom, oldDom));
+        }
+        removeVNode(oldVNode);
+    }
+    return next;
+};
+
+// Re-render a single component after its local state changed.
+// A failure is handed to the nearest error boundary, which swaps in its fallback.
+const updateInstance = (instance) => {
+    const vnode = instance.vnode;
+    const boundary = instance.boundary && instance.boundary.mounted && !instance.boundary.caught
+        ? instance.boundary
+        : null;
+    const region = boundary ? captureRegion(boundary.vnode.child) : null;
+    const checkpoint = commitCheckpoint();
+
+    const update = () => {
+        vnode.child = diffComponentChild(vnode, vnode.child, vnode.namespace);
+        queueEffects(instance);
+    };
+    const updateResult = Result.fromTry(() => boundary ? withinBoundary(boundary, update) : update());
+
+    if (Result.isError(updateResult) && boundary) {
+        discardCommit(checkpoint);
+        const boundaryVNode = boundary.vnode;
+        const fallbackResult = Result.fromTry(() => {
+            boundaryVNode.child = renderFallback(boundaryVNode, boundaryVNode.child, region, updateResult.error);
+            queueEffects(boundary);
+        });
+        if (Result.isError(fallbackResult)) {
+            logSafeError('updateInstance', fallbackResult.error, `Error boundary fallback: ${boundaryVNode.type.name || 'anonymous'}`);
+        }
+    } else if (Result.isError(updateResult)) {
+        logSafeError('updateInstance', updateResult.error, `Component function: ${vnode.type.name || 'anonymous'}`);
+    }
+    flushCommit();
+};
+
+// Diff one child, degrading to an inline error message when no error boundary encloses it
+const diffChild = (parentDom, oldVNode, vnodeResult, index, namespace) => {
+    const childResult = vnodeResult.chain(vnode => Result.fromTry(() => diffNode(oldVNode, vnode, namespace)));
+    if (Result.isError(childResult) && nearestBoundary()) {
+        // An enclosing error boundary handles it instead
+        throw childResult.error;
+    }
+    if (Result.isError(childResult)) {
+        logSafeError('reconcile-child-error', childResult.error, `Parent element: ${parentDom.nodeName}, Child index: ${index}`);
+        reportDiagnostic('child-error', childResult.error, `Rendered inline in <${parentDom.nodeName.toLowerCase()}>`);
+        return diffNode(oldVNode, textVNode(`[Child Error: ${errorMessageOf(childResult.error)}]`), namespace);
+    }
+    return childResult.value;
+};
+
+// Keyed children diff: keyed children match by key, the rest match in order.
+// endReference is the node the children end before (fragments share their parent).
+const diffChildren = (parentDom, oldChildren, elements, namespace, endReference = null) => {
+    const keyed = new Map();
+    const unkeyed = [];
+    oldChildren.forEach(child => {
+        if (child.key != null && !keyed.has(child.key)) {
+            keyed.set(child.key, child);
+        } else {
+            unkeyed.push(child);
+        }
+    });
+
+    const used = new Set();
+    let unkeyedIndex = 0;
+    const takeMatch = (key) => {
+        if (key != null) {
+            const match = keyed.get(key);
+            return match && !used.has(match) ? match : null;
+        }
+        return unkeyedIndex < unkeyed.length ? unkeyed[unkeyedIndex++] : null;
+    };
+
+    const children = elements.map((element, index) => {
+        const vnodeResult = createVirtualDOM(element);
+        const match = takeMatch(vnodeResult.fold(() => null, vnode => vnode.key));
+        if (match) used.add(match);
+        return diffChild(parentDom, match, vnodeResult, index, namespace);
+    });
+
+    oldChildren.filter(child => !used.has(child)).forEach(removeVNode);
+
+    // Move nodes into their new order, walking backwards from the end
+    children.flatMap(getDOMNodes).reduceRight((reference, dom) => {
+        if (dom.parentNode !== parentDom || dom.nextSibling !== reference) {
+            parentDom.insertBefore(dom, reference);
+        }
+        return dom;
+    }, endReference);
+
+    return children;
+};
+
+// Diff an element against a previously rendered vnode; namespace is that of the parent
+const reconcile = (oldVNode, namespace = namespaces.html) => element => {
+    return Result.fromTry(() => diffNode(oldVNode, toVNode(element), namespace));
+};
+
+// Patch a container with a new element tree, reusing the DOM from the last render
+const patch = container => element => {
     return Result.fromTry(() => {
-        // Simple implementation - for production, implement proper diffing
-        return vdom;
+        registerRoot(container);
+        const previous = mountedTrees.get(container) || null;
+        const previousDom = getDOMNode(previous);
+        const current = previousDom && previousDom.parentNode === container ? previous : null;
+
+        if (!current) {
+            // Container content was not produced by us; start from a clean slate
+            unmountVNode(previous);
+            while (container.firstChild) {
+                container.removeChild(container.firstChild);
+            }
+        }
+
+        const next = reconcile(current, containerNamespace(container))(element).fold(error => { throw error; }, vnode => vnode);
+        getDOMNodes(next).forEach(dom => {
+            if (dom.parentNode !== container) {
+                container.appendChild(dom);
+            }
+        });
+        mountedTrees.set(container, next);
+        flushCommit();
+        return next;
     });
 };
 
-// Patch DOM with changes
-const patch = container => vdom => {
+const hydrationMismatch = (expected, node) =>
+    new Error(`Hydration mismatch: expected ${expected}, found ${node ? node.nodeName : 'nothing'}`);
+
+// Comment nodes only separate adjacent text in prerendered markup; drop them so
+// the reconciler owns every child node of the elements it manages
+const hydratableChildren = (parentDom) =>
+    [...parentDom.childNodes].filter(node => {
+        if (node.nodeType === 8) {
+            parentDom.removeChild(node);
+            return false;
+        }
+        return true;
+    });
+
+// Adopt existing DOM nodes for a vnode, attaching listeners instead of recreating them.
+// cursor.index points at the next unclaimed node in nodes, so fragments can take several.
+// created collects undo steps for a hydration that has to be abandoned.
+const hydrateNode = (vnode, nodes, cursor, parentDom, namespace, created) => {
+    if (vnode.type === TEXT && vnode.value === '') {
+        // Empty text has no markup, so there is nothing to adopt
+        const dom = createTextNode('');
+        parentDom.insertBefore(dom, nodes[cursor.index] || null);
+        return { ...vnode, dom };
+    }
+    if (isComponent(vnode)) {
+        // Boundaries don't catch here: a failed hydration falls back to a client render instead
+        const hydrateChild = component => withOwner(component.instance,
+            () => hydrateNode(toVNode(renderComponent(component)), nodes, cursor, parentDom, namespace, created));
+        const next = mountComponent(vnode, namespace, component => vnode.type.isErrorBoundary
+            ? withinBoundary(component.instance, () => hydrateChild(component))
+            : hydrateChild(component));
+        created.push(() => disposeInstance(next.instance));
+        return next;
+    }
+    if (isFragment(vnode)) {
+        return { ...vnode, children: hydrateSequence(vnode.children, nodes, cursor, parentDom, namespace, created) };
+    }
+    if (isPortal(vnode)) {
+        // Portals are not part of prerendered markup; mount them fresh
+        const next = diffPortal(null, vnode);
+        parentDom.insertBefore(next.dom, nodes[cursor.index] || null);
+        created.push(() => removeVNode(next));
+        return next;
+    }
+
+    const node = nodes[cursor.index++];
+    if (vnode.type === TEXT) {
+        if (!node || node.nodeType !== 3 || node.nodeValue !== vnode.value) {
+            throw hydrationMismatch(`text "${vnode.value}"`, node);
+        }
+        return { ...vnode, dom: node };
+    }
+
+    const elementNs = elementNamespace(vnode.type, namespace);
+    if (!node || node.nodeType !== 1 || node.nodeName.toLowerCase() !== vnode.type.toLowerCase() ||
+        (node.namespaceURI || namespaces.html) !== elementNs) {
+        throw hydrationMismatch(`<${vnode.type}>`, node);
+    }
+
+    Object.entries(vnode.props).forEach(([name, value]) => {
+        // Listeners and live form state are attached rather than compared
+        const kind = describeProp(name, value).kind;
+        if (kind === 'event' || kind === 'property') {
+            setProp(node, name, value, vnode.type);
+            return;
+        }
+        const attribute = resolveAttribute(name, value, elementNs).fold(() => null, resolved => resolved);
+        if (attribute && node.getAttribute(attribute.name) !== attribute.value) {
+            throw new Error(`Hydration mismatch: <${vnode.type}> attribute ${attribute.name} differs`);
+        }
+    });
+
+    const children = hydrateChildren(node, vnode.children, childNamespace(vnode.type, elementNs), created);
+    queueAttach(node, vnode.props);
+    return { ...vnode, dom: node, children };
+};
+
+const hydrateSequence = (elements, nodes, cursor, parentDom, namespace, created) =>
+    elements.map(element => hydrateNode(toVNode(element), nodes, cursor, parentDom, namespace, created));
+
+const hydrateChildren = (parentDom, elements, namespace, created) => {
+    const nodes = hydratableChildren(parentDom);
+    const cursor = { index: 0 };
+    const children = hydrateSequence(elements, nodes, cursor, parentDom, namespace, created);
+    if (cursor.index < nodes.length) {
+        throw hydrationMismatch('end of children', nodes[cursor.index]);
+    }
+    return children;
+};
+
+// Adopt prerendered markup; on mismatch, report it and fall back to a full client render
+const hydrateContainer = container => element => {
+    return Result.fromTry(() => {
+        registerRoot(container);
+        const created = [];
+        const checkpoint = commitCheckpoint();
+        const hydrateResult = Result.fromTry(() => {
+            // Whitespace around the prerendered root is not part of the tree
+            const nodes = hydratableChildren(container)
+                .filter(node => node.nodeType !== 3 || node.nodeValue.trim() !== '');
+            const cursor = { index: 0 };
+            const root = hydrateNode(toVNode(element), nodes, cursor, container, containerNamespace(container), created);
+            if (cursor.index !== nodes.length) {
+                throw hydrationMismatch('end of prerendered content', nodes[cursor.index]);
+            }
+            return root;
+        });
+
+        if (Result.isOk(hydrateResult)) {
+            mountedTrees.set(container, hydrateResult.value);
+            flushCommit();
+            return hydrateResult.value;
+        }
+
+        errorLogger.logError(hydrateResult.error);
+        reportDiagnostic('hydration-mismatch', hydrateResult.error, 'Prerendered markup replaced by a client render');
+        discardCommit(checkpoint);
+        created.forEach(undo => undo());
+        mountedTrees.delete(container);
+        return patch(container)(element).fold(error => { throw error; }, vnode => vnode);
+    });
+};
+
+// Remove everything rendered into a container and stop dispatching its events
+const unmountContainer = container => {
     return Result.fromTry(() => {
-        // This would contain the actual DOM patching logic
-        // For now, it's a placeholder that returns the vdom
-        return vdom;
+        removeVNode(mountedTrees.get(container) || null);
+        mountedTrees.delete(container);
+        unregisterRoot(container);
+        flushCommit();
+        return container;
     });
 };
 
 // Combined render pipeline
-const renderPipeline = (element, container) =>
-    pipe(
-        createVirtualDOM,
-        vdom => vdom.chain(reconcile(container.firstChild)),
-        vdom => vdom.chain(patch(container))
-    )(element);
-
-export { createVirtualDOM, reconcile, patch, renderPipeline }; 
\ No newline at end of file
+const renderPipeline = (element, container) => patch(container)(element);
+
+// Last committed virtual tree for a container, or null
+const getMountedTree = container => mountedTrees.get(container) || null;
+
+export {
+    TEXT,
+    createVirtualDOM,
+    reconcile,
+    patch,
+    hydrateContainer,
+    unmountContainer,
+    renderPipeline,
+    getDOMNode,
+    getDOMNodes,
+    getMountedTree,
+    subscribeCommits
+};
@@ -0,0 +1,280 @@
+// Component instances and hook primitives (state, effect, memo, ref, context)
+import { createStore } from '../state/store.js';
+import { createEffect } from '../effects/functions.js';
+import { logSafeError } from '../../core/runtime/helpers.js';
+
+// Instance whose component function is currently running
+let currentInstance = null;
+
+// Instances whose effects should run once the DOM is committed
+let pendingEffects = [];
+
+// Instances waiting for a self-triggered re-render
+const dirtyInstances = new Set();
+let flushQueued = false;
+
+const createInstance = (update, parent = null) => ({
+    parent,
+    hooks: [],
+    hookIndex: 0,
+    mounted: true,
+    renderCount: 0,
+    lastRenderReason: null,
+    updateReason: null,
+    update
+});
+
+// Why the current render is happening ('pageStore update', 'state change in Navigation', ...);
+// every instance that renders records it for the component inspector
+let renderReason = null;
+
+const withRenderReason = (reason, work) => {
+    const previous = renderReason;
+    renderReason = reason;
+    try {
+        return work();
+    } finally {
+        renderReason = previous;
+    }
+};
+
+const instanceName = instance =>
+    instance.vnode && instance.vnode.type ? instance.vnode.type.displayName || instance.vnode.type.name || 'anonymous' : 'anonymous';
+
+// Components whose output is being rendered or diffed; the innermost one owns
+// new instances and problems reported meanwhile
+const ownerStack = [];
+
+const currentOwner = () => ownerStack.length ? ownerStack[ownerStack.length - 1] : null;
+
+const withOwner = (instance, work) => {
+    ownerStack.push(instance);
+    try {
+        return work();
+    } finally {
+        ownerStack.pop();
+    }
+};
+
+const getCurrentInstance = () => {
+    if (!currentInstance) {
+        throw new Error('Hooks can only be called while a component is rendering');
+    }
+    return currentInstance;
+};
+
+// Run a component function with hooks bound to its instance
+const withInstance = (instance, render) => {
+    const previous = currentInstance;
+    currentInstance = instance;
+    instance.hookIndex = 0;
+    instance.renderCount += 1;
+    instance.lastRenderReason = renderReason || 'render';
+    dirtyInstances.delete(instance);
+    try {
+        return render();
+    } finally {
+        currentInstance = previous;
+    }
+};
+
+// Return the hook slot for this call, creating it on first render
+const nextSlot = (instance, createSlot) => {
+    const index = instance.hookIndex++;
+    if (!instance.hooks[index]) {
+        instance.hooks[index] = createSlot();
+    }
+    return instance.hooks[index];
+};
+
+const depsChanged = (previousDeps, deps) =>
+    !previousDeps || !deps ||
+    previousDeps.length !== deps.length ||
+    deps.some((dep, index) => !Object.is(dep, previousDeps[index]));
+
+const flushUpdates = () => {
+    flushQueued = false;
+    const instances = [...dirtyInstances];
+    dirtyInstances.clear();
+    instances.filter(instance => instance.mounted).forEach(instance =>
+        withRenderReason(instance.updateReason, () => instance.update()));
+};
+
+const scheduleUpdate = (instance, reason = `update in ${instanceName(instance)}`) => {
+    if (!instance.mounted) return;
+    instance.updateReason = reason;
+    dirtyInstances.add(instance);
+    if (!flushQueued) {
+        flushQueued = true;
+        queueMicrotask(flushUpdates);
+    }
+};
+
+// Local state backed by a store; setting a new value re-renders the component
+const useState = (initialValue) => {
+    const instance = getCurrentInstance();
+    const slot = nextSlot(instance, () => {
+        const store = createStore(typeof initialValue === 'function' ? initialValue() : initialValue);
+        const unsubscribe = store.subscribe(() => scheduleUpdate(instance, `state change in ${instanceName(instance)}`));
+        const setState = (updater) => {
+            const previous = store.getState();
+            const next = typeof updater === 'function' ? updater(previous) : updater;
+            if (!Object.is(previous, next)) {
+                store.update(() => next);
+            }
+        };
+        return { store, setState, dispose: unsubscribe };
+    });
+    return [slot.store.getState(), slot.setState];
+};
+
+// Side effect run after commit; a returned function is called before the next run and on unmount
+const useEffect = (effect, deps) => {
+    const instance = getCurrentInstance();
+    const slot = nextSlot(instance, () => {
+        const state = { callback: null, deps: undefined, pending: false };
+        state.handle = createEffect(() => {
+            const cleanup = state.callback();
+            return typeof cleanup === 'function' ? cleanup : null;
+        });
+        state.dispose = () => state.handle.dispose();
+        return state;
+    });
+
+    if (depsChanged(slot.deps, deps)) {
+        slot.callback = effect;
+        slot.deps = deps;
+        slot.pending = true;
+    }
+};
+
+// Nearest ancestor instance providing a context
+const findProvider = (instance, context) => {
+    for (let ancestor = instance.parent; ancestor; ancestor = ancestor.parent) {
+        if (ancestor.context === context) return ancestor;
+    }
+    return null;
+};
+
+// Make this component the provider of a context; descendants re-render when the value changes
+const useContextProvider = (context, value) => {
+    const instance = getCurrentInstance();
+    nextSlot(instance, () => {
+        instance.context = context;
+        instance.contextStore = createStore(value);
+        return {};
+    });
+    if (!Object.is(instance.contextStore.getState(), value)) {
+        instance.contextStore.update(() => value);
+    }
+};
+
+// Value of the nearest provider above this component, or the context's default
+const useContext = (context) => {
+    const instance = getCurrentInstance();
+    const slot = nextSlot(instance, () => {
+        const provider = findProvider(instance, context);
+        const store = provider ? provider.contextStore : null;
+        const unsubscribe = store
+            ? store.subscribe(() => scheduleUpdate(instance, `context change from ${instanceName(provider)}`))
+            : null;
+        return { store, dispose: unsubscribe };
+    });
+    return slot.store ? slot.store.getState() : context.defaultValue;
+};
+
+// Mutable { current } object kept across renders; pass it as an element's ref prop
+const useRef = (initialValue = null) => {
+    const instance = getCurrentInstance();
+    return nextSlot(instance, () => ({ ref: { current: initialValue } })).ref;
+};
+
+// Error caught by this component when it is an error boundary, with a reset that
+// clears it and re-renders only this component's subtree
+const useCaughtError = () => {
+    const instance = getCurrentInstance();
+    const slot = nextSlot(instance, () => ({
+        reset: () => {
+            instance.caught = null;
+            scheduleUpdate(instance, `error reset in ${instanceName(instance)}`);
+        }
+    }));
+    const { error, errorId } = instance.caught || { error: null, errorId: null };
+    return { error, errorId, reset: slot.reset };
+};
+
+// Cache a computed value until one of its dependencies changes
+const useMemo = (factory, deps) => {
+    const instance = getCurrentInstance();
+    const slot = nextSlot(instance, () => ({ value: undefined, deps: undefined }));
+    if (depsChanged(slot.deps, deps)) {
+        slot.value = factory();
+        slot.deps = deps;
+    }
+    return slot.value;
+};
+
+const queueEffects = (instance) => {
+    if (instance.hooks.some(slot => slot.pending)) {
+        pendingEffects.push(instance);
+    }
+};
+
+// Position in the effect queue, so a render that is abandoned can drop what it queued
+const effectsCheckpoint = () => pendingEffects.length;
+
+const discardEffects = (checkpoint) => {
+    pendingEffects.splice(checkpoint).forEach(disposeInstance);
+};
+
+// Run effects queued during the last commit, children before parents
+const flushEffects = () => {
+    const instances = pendingEffects;
+    pendingEffects = [];
+    instances.filter(instance => instance.mounted).forEach(instance => {
+        instance.hooks.filter(slot => slot.pending).forEach(slot => {
+            slot.pending = false;
+            try {
+                slot.handle.run();
+            } catch (error) {
+                logSafeError('useEffect', error, 'Effect threw during commit');
+            }
+        });
+    });
+};
+
+// Tear down subscriptions and effect cleanups when a component leaves the tree
+const disposeInstance = (instance) => {
+    if (!instance.mounted) return;
+    instance.mounted = false;
+    dirtyInstances.delete(instance);
+    instance.hooks.forEach(slot => {
+        if (slot.dispose) {
+            try {
+                slot.dispose();
+            } catch (error) {
+                logSafeError('disposeInstance', error, 'Hook cleanup failed');
+            }
+        }
+    });
+};
+
+export {
+    createInstance,
+    withInstance,
+    withRenderReason,
+    currentOwner,
+    withOwner,
+    queueEffects,
+    flushEffects,
+    effectsCheckpoint,
+    discardEffects,
+    disposeInstance,
+    useState,
+    useEffect,
+    useMemo,
+    useRef,
+    useContext,
+    useContextProvider,
+    useCaughtError
+};
@@ -0,0 +1,251 @@
+// Component tree inspector: a developer overlay listing the live component tree of a container,
+// with each component's props, key, render count and what triggered its last render
+import { jsx, render, unmount } from '../../core/runtime/jsx.js';
+import { isInspectorEnabled } from '../../core/runtime/config.js';
+import { isFragmentType, isPortalType, isComponentType } from '../../core/runtime/builtins.js';
+import { createStore } from '../state/store.js';
+import { TEXT, getDOMNodes, getMountedTree, subscribeCommits } from './functions.js';
+import { scheduleRender, cancelRender } from './scheduler.js';
+
+const panelId = 'flexnet-inspector';
+
+const styles = {
+    panel: {
+        position: 'fixed',
+        left: '1rem',
+        bottom: '1rem',
+        zIndex: '2147483646',
+        width: 'min(30rem, calc(100vw - 2rem))',
+        maxHeight: '50vh',
+        overflowY: 'auto',
+        backgroundColor: 'hsl(240 10% 3.9%)',
+        color: 'hsl(0 0% 98%)',
+        border: '1px solid #667eea',
+        borderRadius: '0.5rem',
+        fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+        fontSize: '12px'
+    },
+    header: {
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        padding: '0.5rem 0.75rem',
+        borderBottom: '1px solid hsl(240 3.7% 15.9%)'
+    },
+    button: {
+        marginLeft: '0.5rem',
+        padding: '0.125rem 0.5rem',
+        backgroundColor: 'transparent',
+        color: 'inherit',
+        border: '1px solid hsl(240 3.7% 25%)',
+        borderRadius: '0.25rem',
+        cursor: 'pointer'
+    },
+    row: {
+        display: 'block',
+        width: '100%',
+        textAlign: 'left',
+        padding: '0.25rem 0.75rem',
+        backgroundColor: 'transparent',
+        color: 'inherit',
+        border: 'none',
+        cursor: 'pointer',
+        font: 'inherit'
+    },
+    selectedRow: {
+        backgroundColor: 'hsl(240 3.7% 15.9%)'
+    },
+    element: {
+        color: 'hsl(240 5% 64.9%)'
+    },
+    muted: {
+        color: 'hsl(240 5% 64.9%)'
+    },
+    list: {
+        listStyle: 'none',
+        margin: '0',
+        padding: '0'
+    },
+    highlight: {
+        position: 'fixed',
+        pointerEvents: 'none',
+        zIndex: '2147483645',
+        outline: '2px solid #667eea',
+        backgroundColor: 'rgba(102, 126, 234, 0.15)'
+    }
+};
+
+// Short display form of a prop value
+const summarizeValue = (value) => {
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}`;
+    if (typeof value === 'string') return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}…` : value);
+    if (Array.isArray(value)) return `[${value.length}]`;
+    if (value && typeof value === 'object') return '{…}';
+    return String(value);
+};
+
+const summarizeProps = props =>
+    Object.entries(props || {})
+        .filter(([name]) => name !== 'children')
+        .map(([name, value]) => `${name}=${summarizeValue(value)}`)
+        .join(' ');
+
+const componentName = type => type.displayName || type.name || 'anonymous';
+
+// Inspector nodes for a vnode. Components keep their instance as identity and elements their
+// DOM node, so a selection survives re-renders. Without showElements, elements are left out
+// and the components inside them hang off the nearest listed ancestor.
+const describeVNode = (vnode, showElements) => {
+    if (!vnode || vnode.type === TEXT) return [];
+    if (isComponentType(vnode.type)) {
+        return [{
+            id: vnode.instance,
+            vnode,
+            name: componentName(vnode.type),
+            key: vnode.key,
+            props: summarizeProps(vnode.props),
+            component: true,
+            renderCount: vnode.instance.renderCount,
+            lastRenderReason: vnode.instance.lastRenderReason,
+            children: describeVNode(vnode.child, showElements)
+        }];
+    }
+    const children = (vnode.children || []).flatMap(child => describeVNode(child, showElements));
+    if (isFragmentType(vnode.type) || !showElements) {
+        return children;
+    }
+    return [{
+        id: vnode.dom,
+        vnode,
+        name: isPortalType(vnode.type) ? 'Portal' : vnode.type,
+        key: vnode.key,
+        props: isPortalType(vnode.type) ? '' : summarizeProps(vnode.props),
+        component: false,
+        children
+    }];
+};
+
+const findNode = (nodes, id) => {
+    for (const node of nodes) {
+        if (node.id === id) return node;
+        const found = findNode(node.children, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+// Box around the DOM a node rendered, in viewport coordinates
+const boundingBox = (node) => {
+    const rects = getDOMNodes(node.vnode)
+        .filter(dom => dom.nodeType === 1 && dom.isConnected)
+        .map(dom => dom.getBoundingClientRect());
+    if (!rects.length) return null;
+    const top = Math.min(...rects.map(rect => rect.top));
+    const left = Math.min(...rects.map(rect => rect.left));
+    return {
+        top: `${top}px`,
+        left: `${left}px`,
+        width: `${Math.max(...rects.map(rect => rect.right)) - left}px`,
+        height: `${Math.max(...rects.map(rect => rect.bottom)) - top}px`
+    };
+};
+
+const InspectorNode = ({ node, depth, selectedId, onSelect }) =>
+    jsx('li', {}, [
+        jsx('button', {
+            type: 'button',
+            style: { ...styles.row, ...(node.id === selectedId ? styles.selectedRow : {}), paddingLeft: `${0.75 + depth}rem` },
+            onClick: () => onSelect(node.id)
+        }, [
+            jsx('span', { style: node.component ? {} : styles.element },
+                `<${node.name}${node.key != null ? ` key=${JSON.stringify(String(node.key))}` : ''}>`),
+            node.props ? jsx('span', { style: styles.muted }, ` ${node.props}`) : null,
+            node.component
+                ? jsx('div', { style: styles.muted }, `rendered ${node.renderCount}× · last: ${node.lastRenderReason || 'not rendered'}`)
+                : null
+        ]),
+        node.children.length
+            ? jsx('ul', { style: styles.list }, node.children.map((child, index) =>
+                jsx(InspectorNode, { key: index, node: child, depth: depth + 1, selectedId, onSelect })))
+            : null
+    ]);
+
+const InspectorPanel = ({ nodes, state, actions }) => {
+    const selected = state.selected ? findNode(nodes, state.selected) : null;
+    const box = selected ? boundingBox(selected) : null;
+
+    return jsx('div', {}, [
+        box ? jsx('div', { style: { ...styles.highlight, ...box } }) : null,
+        jsx('aside', { style: styles.panel, 'aria-label': 'Component inspector' }, [
+            jsx('div', { style: styles.header }, [
+                jsx('strong', {}, 'Component tree'),
+                jsx('div', {}, [
+                    jsx('button', { type: 'button', style: styles.button, onClick: actions.toggleElements },
+                        state.showElements ? 'Hide elements' : 'Show elements'),
+                    jsx('button', { type: 'button', style: styles.button, onClick: actions.toggleOpen },
+                        state.open ? 'Hide' : 'Show')
+                ])
+            ]),
+            state.open
+                ? jsx('ul', { style: styles.list }, nodes.map((node, index) =>
+                    jsx(InspectorNode, { key: index, node, depth: 0, selectedId: state.selected, onSelect: actions.select })))
+                : null
+        ])
+    ]);
+};
+
+// Show the inspector for the tree rendered into container; it refreshes after every commit.
+// Returns a function that removes it.
+const installComponentInspector = (container) => {
+    if (!isInspectorEnabled() || typeof document === 'undefined') {
+        return () => {};
+    }
+    const panel = document.getElementById(panelId) || document.createElement('div');
+    panel.id = panelId;
+    document.body.appendChild(panel);
+
+    const store = createStore({ open: true, showElements: false, selected: null });
+    const actions = {
+        toggleOpen: () => store.update(state => ({ ...state, open: !state.open })),
+        toggleElements: () => store.update(state => ({ ...state, showElements: !state.showElements })),
+        select: id => {
+            store.update(state => ({ ...state, selected: state.selected === id ? null : id }));
+            const node = findNode(describeVNode(getMountedTree(container), true), id);
+            const first = node ? getDOMNodes(node.vnode).find(dom => dom.nodeType === 1) : null;
+            if (first && first.scrollIntoView) first.scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    // The inspector's own commits also reach the commit listener; ignore them
+    let committingPanel = false;
+    const commitPanel = (element, target) => {
+        committingPanel = true;
+        try {
+            return render(element, target);
+        } finally {
+            committingPanel = false;
+        }
+    };
+
+    const refresh = () => {
+        const state = store.getState();
+        const nodes = describeVNode(getMountedTree(container), state.showElements);
+        scheduleRender(panel, jsx(InspectorPanel, { nodes, state, actions }), commitPanel, 'inspector');
+    };
+
+    const unsubscribeStore = store.subscribe(refresh);
+    const unsubscribeCommits = subscribeCommits(() => {
+        if (!committingPanel) refresh();
+    });
+    refresh();
+
+    return () => {
+        unsubscribeStore();
+        unsubscribeCommits();
+        cancelRender(panel);
+        unmount(panel);
+        panel.remove();
+    };
+};
+
+export { installComponentInspector };
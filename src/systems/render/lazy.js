@@ -0,0 +1,82 @@
+// Code-split components: the module is imported on first render and shared by every use
+import { jsx } from '../../core/runtime/jsx.js';
+import { createStore } from '../state/store.js';
+import { useState, useEffect, useMemo } from './hooks.js';
+
+const defaultFallback = () =>
+    jsx('div', { role: 'status', 'aria-live': 'polite' }, 'Loading…');
+
+// Wrap a dynamic import in a component.
+// load: () => import('./module.js'); the named export (default by default) is rendered with the given props.
+// fallback renders while loading. A failed load throws during render, so the nearest error
+// boundary shows it; pass errorFallback({ error, retry }) to render the failure here instead.
+// Both are rendered as components, so they can use hooks and context.
+const lazy = (load, { fallback = defaultFallback, errorFallback = null, exportName = 'default' } = {}) => {
+    const store = createStore({ status: 'idle', component: null, error: null, promise: null });
+
+    // Start loading (once); resolves with the component and rejects if the load fails
+    const preload = () => {
+        const current = store.getState();
+        if (current.status === 'loading' || current.status === 'ready') {
+            return current.promise;
+        }
+        const promise = Promise.resolve()
+            .then(load)
+            .then(module => {
+                const component = module ? module[exportName] : undefined;
+                if (typeof component !== 'function') {
+                    throw new Error(`Lazy module has no "${exportName}" component export`);
+                }
+                store.update(() => ({ status: 'ready', component, error: null, promise }));
+                return component;
+            })
+            .catch(error => {
+                store.update(() => ({ status: 'failed', component: null, error, promise: null }));
+                throw error;
+            });
+        store.update(() => ({ status: 'loading', component: null, error: null, promise }));
+        return promise;
+    };
+
+    // Rendering starts loads too; their failures reach components through the store
+    const startLoad = () => {
+        preload().catch(() => {});
+    };
+
+    // Forget a failed load and try the import again
+    const retry = () => {
+        if (store.getState().status === 'failed') {
+            store.update(() => ({ status: 'idle', component: null, error: null, promise: null }));
+            startLoad();
+        }
+    };
+
+    const LazyComponent = (props) => {
+        const [, setVersion] = useState(0);
+        // Re-render this instance whenever the shared load state moves on
+        useEffect(() => store.subscribe(() => setVersion(version => version + 1)), []);
+        // A new instance (e.g. one remounted after a failure) tries a failed load again
+        useMemo(retry, []);
+
+        if (store.getState().status === 'idle') {
+            startLoad();
+        }
+        const { status, component, error } = store.getState();
+        if (status === 'ready') {
+            return jsx(component, props);
+        }
+        if (status === 'failed') {
+            if (errorFallback) {
+                return jsx(errorFallback, { error, retry });
+            }
+            throw error;
+        }
+        return jsx(fallback, props);
+    };
+
+    LazyComponent.preload = preload;
+    LazyComponent.retry = retry;
+    return LazyComponent;
+};
+
+export { lazy };
@@ -0,0 +1,98 @@
+// Element refs and lifecycle callbacks: the ref, onMount and onUnmount props of DOM elements
+import { logSafeError } from '../../core/runtime/helpers.js';
+
+// Elements created or adopted during the current commit, attached once the DOM is in place
+let pendingAttachments = [];
+
+// Elements whose ref and onMount have run
+const attachedElements = new WeakSet();
+
+// Cleanups returned by onMount, run before the element is removed
+const mountCleanups = new WeakMap();
+
+const safely = (label, work) => {
+    try {
+        work();
+    } catch (error) {
+        logSafeError(label, error, 'Element lifecycle callback threw');
+    }
+};
+
+// Function refs are called with the element (null on removal); object refs get it in .current
+const setRef = (ref, value) => {
+    if (typeof ref === 'function') {
+        ref(value);
+    } else if (ref && typeof ref === 'object') {
+        ref.current = value;
+    }
+};
+
+// Queue ref and onMount for an element that was just created or adopted
+const queueAttach = (dom, props) => {
+    if (props.ref || props.onMount) {
+        pendingAttachments.push({ dom, ref: props.ref, onMount: props.onMount });
+    }
+};
+
+// A changed ref prop releases the old ref and receives the element on the next commit
+const updateRef = (dom, oldProps, newProps) => {
+    if (oldProps.ref === newProps.ref) return;
+    if (oldProps.ref && attachedElements.has(dom)) {
+        safely('ref', () => setRef(oldProps.ref, null));
+    }
+    if (newProps.ref) {
+        pendingAttachments.push({ dom, ref: newProps.ref, onMount: null });
+    }
+};
+
+// Run before an element leaves the DOM: the onMount cleanup, onUnmount, then the ref is cleared
+const detachElement = (dom, props) => {
+    if (!attachedElements.has(dom)) {
+        // Removed in the commit that created it; it never saw its callbacks
+        pendingAttachments = pendingAttachments.filter(entry => entry.dom !== dom);
+        return;
+    }
+    attachedElements.delete(dom);
+    const cleanup = mountCleanups.get(dom);
+    if (cleanup) {
+        mountCleanups.delete(dom);
+        safely('onMount', cleanup);
+    }
+    if (props.onUnmount) safely('onUnmount', () => props.onUnmount(dom));
+    if (props.ref) safely('ref', () => setRef(props.ref, null));
+};
+
+// Position in the queue, so a render that is abandoned can drop what it queued
+const attachmentsCheckpoint = () => pendingAttachments.length;
+
+const discardAttachments = (checkpoint) => {
+    pendingAttachments.splice(checkpoint);
+};
+
+// Hand elements to their refs and onMount callbacks, children before parents.
+// onMount may return a cleanup that runs before the element is removed.
+const flushAttachments = () => {
+    const entries = pendingAttachments;
+    pendingAttachments = [];
+    entries.forEach(({ dom, ref, onMount }) => {
+        attachedElements.add(dom);
+        if (ref) safely('ref', () => setRef(ref, dom));
+        if (onMount) {
+            safely('onMount', () => {
+                const cleanup = onMount(dom);
+                if (typeof cleanup === 'function') {
+                    mountCleanups.set(dom, cleanup);
+                }
+            });
+        }
+    });
+};
+
+export {
+    queueAttach,
+    updateRef,
+    detachElement,
+    attachmentsCheckpoint,
+    discardAttachments,
+    flushAttachments
+};
@@ -0,0 +1,32 @@
+// Memoized components: the reconciler keeps the previous output while props stay equal
+import { jsx } from '../../core/runtime/jsx.js';
+
+const sameItems = (previous, next) =>
+    previous.length === next.length && previous.every((item, index) => Object.is(item, next[index]));
+
+// Same keys with Object.is-equal values. jsx builds a fresh children array on every call,
+// so children are compared item by item: no children stays equal, passed elements never do.
+const shallowEqual = (previous, next) => {
+    const previousKeys = Object.keys(previous);
+    const nextKeys = Object.keys(next);
+    return previousKeys.length === nextKeys.length &&
+        previousKeys.every(key => {
+            if (!Object.prototype.hasOwnProperty.call(next, key)) return false;
+            const before = previous[key];
+            const after = next[key];
+            return key === 'children' && Array.isArray(before) && Array.isArray(after)
+                ? sameItems(before, after)
+                : Object.is(before, after);
+        });
+};
+
+// Wrap a component so re-rendering its parent skips it when equals(oldProps, newProps) holds.
+// Its own state updates and context changes still re-render it.
+const memo = (component, equals = shallowEqual) => {
+    const Memo = ({ children, ...props }) => jsx(component, props, children);
+    Memo.propsEqual = equals;
+    Memo.displayName = `Memo(${component.displayName || component.name || 'anonymous'})`;
+    return Memo;
+};
+
+export { memo, shallowEqual };
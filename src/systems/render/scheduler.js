@@ -0,0 +1,79 @@
+// Frame-scheduled rendering: renders requested for a container within one frame are
+// coalesced, and only the latest element is committed when the frame comes
+import Either from '../../core/types/either.js';
+import { logSafeError } from '../../core/runtime/helpers.js';
+import { render } from '../../core/runtime/jsx.js';
+import { withRenderReason } from './hooks.js';
+
+// container -> { element, commit, reason, promise, resolve } waiting for the next frame
+const pendingRenders = new Map();
+let frameHandle = null;
+
+// Without requestAnimationFrame (non-browser environments) a short timeout stands in
+const requestFrame = callback =>
+    typeof requestAnimationFrame === 'function' ? requestAnimationFrame(callback) : setTimeout(callback, 16);
+
+const cancelFrame = handle =>
+    typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame(handle) : clearTimeout(handle);
+
+const runCommit = (container, { element, commit, reason, resolve }) => {
+    try {
+        resolve(withRenderReason(reason, () => commit(element, container)));
+    } catch (error) {
+        logSafeError('scheduleRender', error, 'Scheduled render threw during commit');
+        resolve(Either.Left(error));
+    }
+};
+
+// Commit every pending render now instead of waiting for the frame.
+// Renders requested while committing wait for the next frame.
+const flushRenders = () => {
+    if (frameHandle !== null) {
+        cancelFrame(frameHandle);
+        frameHandle = null;
+    }
+    const jobs = [...pendingRenders];
+    pendingRenders.clear();
+    jobs.forEach(([container, job]) => runCommit(container, job));
+};
+
+// Render element into container on the next frame.
+// commit(element, container) does the work (render by default; hydrate for prerendered markup).
+// reason says what asked for it (e.g. 'pageStore update') and is shown by the component inspector.
+// Resolves with the commit's result once the DOM is committed; every call coalesced into
+// the same frame gets the same promise.
+const scheduleRender = (container, element, commit = render, reason = 'render') => {
+    const pending = pendingRenders.get(container);
+    if (pending) {
+        pending.element = element;
+        pending.commit = commit;
+        pending.reason = reason;
+        return pending.promise;
+    }
+
+    let resolve;
+    const promise = new Promise(resolver => { resolve = resolver; });
+    pendingRenders.set(container, { element, commit, reason, promise, resolve });
+    if (frameHandle === null) {
+        frameHandle = requestFrame(() => {
+            frameHandle = null;
+            flushRenders();
+        });
+    }
+    return promise;
+};
+
+// Drop the render waiting for container, e.g. before tearing the container down.
+// Its promise resolves with a Left instead of the commit result.
+const cancelRender = (container) => {
+    const pending = pendingRenders.get(container);
+    if (!pending) return;
+    pendingRenders.delete(container);
+    pending.resolve(Either.Left(new Error('Render was cancelled')));
+};
+
+// Resolves once every render scheduled so far is committed
+const whenRendered = () =>
+    Promise.all([...pendingRenders.values()].map(job => job.promise)).then(() => undefined);
+
+export { scheduleRender, flushRenders, cancelRender, whenRendered };
@@ -0,0 +1,61 @@
+// Lenses: composable getters/setters that focus on one part of an immutable state tree.
+// view/set/over are curried data-last, so they can be handed straight to store.update:
+//   pageStore.update(set(currentPageLens, 'about'))
+import Maybe from '../../core/types/maybe.js';
+
+// get(target) reads the focus; put(value, target) returns a copy of target with the focus
+// replaced. Setting the value already there returns target itself, so unchanged branches
+// keep their identity (and memoized components their props).
+const lens = (get, put) => ({
+    get,
+    set: (value, target) => Object.is(get(target), value) ? target : put(value, target)
+});
+
+// A property of an object; a missing object is created
+const prop = key => lens(
+    target => target == null ? undefined : target[key],
+    (value, target) => ({ ...target, [key]: value })
+);
+
+// An item of an array; a missing array is created
+const index = position => lens(
+    target => target == null ? undefined : target[position],
+    (value, target) => {
+        const items = Array.isArray(target) ? [...target] : [];
+        items[position] = value;
+        return items;
+    }
+);
+
+// Left to right: compose(prop('user'), prop('name')) focuses on state.user.name
+const compose = (...lenses) => lens(
+    target => lenses.reduce((focus, current) => current.get(focus), target),
+    (value, target) => {
+        const write = (remaining, focus) => {
+            if (!remaining.length) return value;
+            const [first, ...rest] = remaining;
+            return first.set(write(rest, first.get(focus)), focus);
+        };
+        return write(lenses, target);
+    }
+);
+
+// Nested keys: numbers focus on array items, anything else on object properties
+const path = (...keys) => compose(...keys.map(key => typeof key === 'number' ? index(key) : prop(key)));
+
+// The value held by a Maybe; viewing Nothing gives undefined and setting leaves it Nothing
+const just = lens(
+    maybe => Maybe.getOrElse(undefined)(maybe),
+    (value, maybe) => Maybe.isJust(maybe) ? Maybe.Just(value) : maybe
+);
+
+const view = focus => target => focus.get(target);
+
+// Maybe-aware view: Just the focus, or Nothing when it (or anything on the way) is missing
+const preview = focus => target => Maybe.fromNullable(focus.get(target));
+
+const set = (focus, value) => target => focus.set(value, target);
+
+const over = (focus, fn) => target => focus.set(fn(focus.get(target)), target);
+
+export { lens, prop, index, path, compose, just, view, preview, set, over };
@@ -0,0 +1,72 @@
+// Contact page tests: the form lists every validation problem and submits only valid input
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import ContactPage from '../../../src/features/contact/index.js';
+import { test, assertEqual, assertDeepEqual, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running contact page tests...');
+
+const fill = (form, values) => Object.entries(values).forEach(([name, value]) => {
+    form.elements[name].value = value;
+});
+
+const submit = async (form) => {
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await tick();
+};
+
+const listedErrors = container =>
+    [...container.querySelectorAll('[role="alert"] li')].map(item => item.textContent);
+
+// Swap alert for the duration of work
+const withAlert = async (replacement, work) => {
+    const original = globalThis.alert;
+    globalThis.alert = replacement;
+    try {
+        await work();
+    } finally {
+        globalThis.alert = original;
+    }
+};
+
+await test('submitting an invalid form should list every problem', async () => {
+    const container = createContainer();
+    render(jsx(ContactPage), container);
+    const form = container.querySelector('form');
+    fill(form, { name: '', email: 'bad', message: 'short' });
+    await submit(form);
+    assertDeepEqual(listedErrors(container), [
+        'Please enter your name',
+        'Please enter a valid email address',
+        'Please write at least 10 characters'
+    ], 'Listed errors');
+    assertEqual(form.elements.email.getAttribute('aria-invalid'), 'true', 'Invalid field should be marked');
+    container.remove();
+});
+
+await test('a valid submission should clear the errors and thank the visitor', async () => {
+    const messages = [];
+    await withAlert(message => messages.push(message), async () => {
+        const container = createContainer();
+        render(jsx(ContactPage), container);
+        const form = container.querySelector('form');
+        await submit(form);
+        fill(form, { name: 'Ada', email: 'ada@example.com', message: 'Hello there, team!' });
+        await submit(form);
+        assertDeepEqual(listedErrors(container), [], 'Errors should be cleared');
+        assertEqual(messages.length, 1, 'Visitor should be thanked once');
+        assertEqual(form.elements.name.value, '', 'Form should be reset');
+        container.remove();
+    });
+});
+
+await test('a failing submit side effect should not show up as a validation error', async () => {
+    await withAlert(() => { throw new Error('alert failed'); }, async () => {
+        const container = createContainer();
+        render(jsx(ContactPage), container);
+        const form = container.querySelector('form');
+        fill(form, { name: 'Ada', email: 'ada@example.com', message: 'Hello there, team!' });
+        await submit(form);
+        assertDeepEqual(listedErrors(container), [], 'Side effect errors are not form errors');
+        container.remove();
+    });
+});
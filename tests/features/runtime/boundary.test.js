@@ -0,0 +1,85 @@
+// Error boundary tests: each instance catches its own subtree and can be reset to retry
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { useState } from '../../../src/systems/render/hooks.js';
+import { createErrorBoundary } from '../../../src/systems/errors/boundary.js';
+import { test, assertEqual, assertTruthy, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running error boundary tests...');
+
+const Boundary = createErrorBoundary((error, { errorId, reset }) =>
+    jsx('div', { role: 'alert', 'data-error-id': errorId }, [
+        jsx('span', {}, error.message),
+        jsx('button', { type: 'button', onClick: reset }, 'Try again')
+    ]));
+
+// Throws while failing.now is true
+const failing = { now: true };
+const Flaky = ({ label }) => {
+    if (failing.now) throw new Error(`${label} broke`);
+    return jsx('b', {}, label);
+};
+
+await test('a boundary should show its fallback and leave siblings alone', () => {
+    failing.now = true;
+    const container = createContainer();
+    render(jsx('div', {}, [
+        jsx(Boundary, { key: 'a' }, jsx(Flaky, { label: 'a' })),
+        jsx(Boundary, { key: 'b' }, jsx('i', {}, 'fine'))
+    ]), container);
+    const alerts = container.querySelectorAll('[role=alert]');
+    assertEqual(alerts.length, 1, 'Only the failing boundary should show its fallback');
+    assertTruthy(alerts[0].textContent.includes('a broke'), 'Fallback should show the error');
+    assertTruthy(alerts[0].getAttribute('data-error-id').startsWith('ERR-'), 'Fallback should get an error ID');
+    assertEqual(container.querySelector('i').textContent, 'fine', 'Sibling boundary should render its children');
+    container.remove();
+});
+
+await test('reset should re-render the subtree and recover once the error is gone', async () => {
+    failing.now = true;
+    const container = createContainer();
+    render(jsx(Boundary, {}, jsx(Flaky, { label: 'x' })), container);
+
+    container.querySelector('button').click();
+    await tick();
+    assertTruthy(container.querySelector('[role=alert]') !== null, 'Still failing: fallback should stay');
+
+    failing.now = false;
+    container.querySelector('button').click();
+    await tick();
+    assertEqual(container.innerHTML, '<b>x</b>', 'Recovered subtree should render');
+    container.remove();
+});
+
+await test('a state update that throws should be caught by the enclosing boundary', async () => {
+    let setBroken;
+    const Switch = () => {
+        const [broken, set] = useState(false);
+        setBroken = set;
+        if (broken) throw new Error('state broke');
+        return jsx('span', {}, 'ok');
+    };
+    const container = createContainer();
+    render(jsx('div', {}, [jsx('h1', {}, 'Title'), jsx(Boundary, {}, jsx(Switch))]), container);
+
+    setBroken(true);
+    await tick();
+    assertTruthy(container.querySelector('[role=alert]').textContent.includes('state broke'), 'Fallback should show');
+    assertEqual(container.querySelector('h1').textContent, 'Title', 'Content outside should stay');
+    container.remove();
+});
+
+await test('ErrorBoundary.reset should reset every mounted instance', async () => {
+    failing.now = true;
+    const container = createContainer();
+    render(jsx('div', {}, [
+        jsx(Boundary, { key: 1 }, jsx(Flaky, { label: 'one' })),
+        jsx(Boundary, { key: 2 }, jsx(Flaky, { label: 'two' }))
+    ]), container);
+    assertEqual(container.querySelectorAll('[role=alert]').length, 2, 'Both boundaries should fail');
+
+    failing.now = false;
+    Boundary.reset();
+    await tick();
+    assertEqual(container.textContent, 'onetwo', 'Both subtrees should recover');
+    container.remove();
+});
@@ -0,0 +1,109 @@
+// Diagnostics tests: quietly recovered problems are collected, with component stacks, only in debug mode
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import Either from '../../../src/core/types/either.js';
+import { configureRuntime } from '../../../src/core/runtime/config.js';
+import { getDiagnostics, clearDiagnostics, subscribeDiagnostics } from '../../../src/core/runtime/diagnostics.js';
+import { installDiagnosticsOverlay } from '../../../src/systems/errors/diagnostics-overlay.js';
+import { flushRenders } from '../../../src/systems/render/scheduler.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running diagnostics tests...');
+
+// Run work with the given runtime settings, restoring the previous ones afterwards
+const withRuntime = async (options, work) => {
+    const previous = configureRuntime();
+    configureRuntime(options);
+    clearDiagnostics();
+    try {
+        return await work();
+    } finally {
+        clearDiagnostics();
+        configureRuntime(previous);
+    }
+};
+
+const Broken = () => {
+    throw new Error('broken child');
+};
+const Parent = () => jsx('div', {}, [jsx(Broken), jsx('span', {}, 'ok')]);
+
+await test('production mode should recover quietly without collecting anything', () => withRuntime({ diagnostics: false }, () => {
+    const container = createContainer();
+    render(jsx('p', {}, [Either.Left('bad child')]), container);
+    assertEqual(container.textContent, '[Invalid Element]', 'Invalid child should still render a placeholder');
+    assertEqual(getDiagnostics().length, 0, 'Nothing should be collected');
+    container.remove();
+}));
+
+await test('debug mode should collect child errors with the component stack', () => withRuntime({ diagnostics: true }, () => {
+    const container = createContainer();
+    render(jsx(Parent), container);
+    assertTruthy(container.textContent.startsWith('[Child Error:'), 'Child error should still render inline');
+
+    const entry = getDiagnostics().find(diagnostic => diagnostic.kind === 'child-error');
+    assertTruthy(entry, 'Child error should be collected');
+    assertTruthy(entry.message.includes('broken child'), 'Entry should carry the error message');
+    assertDeepEqual(entry.componentStack, ['Broken', 'Parent'], 'Stack should list components innermost first');
+    container.remove();
+}));
+
+await test('debug mode should collect invalid elements and dropped props', () => withRuntime({ diagnostics: true }, () => {
+    const Holder = () => jsx('div', { title: { not: 'text' } }, [Either.Left('bad child')]);
+    const container = createContainer();
+    render(jsx(Holder), container);
+
+    const kinds = getDiagnostics().map(diagnostic => diagnostic.kind);
+    assertTruthy(kinds.includes('invalid-element'), 'Invalid element should be collected');
+    assertTruthy(kinds.includes('dropped-prop'), 'Dropped prop should be collected');
+    const invalid = getDiagnostics().find(diagnostic => diagnostic.kind === 'invalid-element');
+    assertDeepEqual(invalid.componentStack, ['Holder'], 'Invalid element should name its component');
+    container.remove();
+}));
+
+await test('subscribers should hear reports and clears', () => withRuntime({ diagnostics: true }, () => {
+    const seen = [];
+    const unsubscribe = subscribeDiagnostics(entries => seen.push(entries.length));
+    const container = createContainer();
+    render(jsx('p', {}, [Either.Left('bad child')]), container);
+    clearDiagnostics();
+    unsubscribe();
+    render(jsx('p', {}, [Either.Left('bad child')]), container);
+    assertDeepEqual(seen, [1, 0], 'Listener should run on report and clear, and not after unsubscribing');
+    container.remove();
+}));
+
+await test('the overlay should list collected diagnostics and clear them', () => withRuntime({ diagnostics: true }, () => {
+    const remove = installDiagnosticsOverlay();
+    const container = createContainer();
+    render(jsx(Parent), container);
+    flushRenders();
+
+    const overlay = document.getElementById('flexnet-diagnostics');
+    assertTruthy(overlay, 'Overlay container should be added');
+    assertTruthy(overlay.textContent.includes('Runtime diagnostics (1)'), 'Overlay should count entries');
+    assertTruthy(overlay.textContent.includes('in Broken < Parent'), 'Overlay should show the component stack');
+
+    [...overlay.querySelectorAll('button')].find(button => button.textContent === 'Clear').click();
+    flushRenders();
+    assertEqual(getDiagnostics().length, 0, 'Clear should empty the list');
+    assertEqual(overlay.textContent, '', 'Overlay should hide once empty');
+
+    remove();
+    assertEqual(document.getElementById('flexnet-diagnostics'), null, 'Removing should take the overlay out');
+    container.remove();
+}));
+
+await test('removing the overlay should unmount it and drop its pending render', () => withRuntime({ diagnostics: true }, () => {
+    const remove = installDiagnosticsOverlay();
+    const container = createContainer();
+    render(jsx(Parent), container);
+    flushRenders();
+    const overlay = document.getElementById('flexnet-diagnostics');
+    assertTruthy(overlay.textContent.includes('Runtime diagnostics (1)'), 'Overlay should be rendered');
+
+    render(jsx('p', {}, [Either.Left('bad child')]), container);
+    remove();
+    flushRenders();
+    assertEqual(overlay.childNodes.length, 0, 'Nothing should be left in or committed to the removed overlay');
+    container.remove();
+}));
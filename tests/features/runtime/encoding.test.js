@@ -0,0 +1,51 @@
+// Output encoding tests: each value is encoded once, for the context it ends up in
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import { encodeAttribute, trusted } from '../../../src/core/security/functions.js';
+import Either from '../../../src/core/types/either.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running output encoding tests...');
+
+await test('text children should appear exactly as written in the DOM', () => {
+    const container = createContainer();
+    render(jsx('p', {}, 'Tom & Jerry <3 "quotes"'), container);
+    assertEqual(container.firstChild.textContent, 'Tom & Jerry <3 "quotes"', 'Text should not be escaped twice');
+    assertEqual(container.firstChild.children.length, 0, 'Markup in text should not create elements');
+    container.remove();
+});
+
+await test('attribute values should be stored raw in the DOM', () => {
+    const container = createContainer();
+    render(jsx('div', { title: 'a & b "c"' }), container);
+    assertEqual(container.firstChild.getAttribute('title'), 'a & b "c"', 'Attribute should not be escaped twice');
+    container.remove();
+});
+
+await test('renderToString should escape text and attributes once', () => {
+    const markup = renderToString(jsx('p', { title: 'a & "b"' }, '<b>&</b>'));
+    assertEqual(markup, '<p title="a &amp; &quot;b&quot;">&lt;b&gt;&amp;&lt;/b&gt;</p>', 'Server markup');
+});
+
+await test('encodeAttribute should reject event handlers and unsafe URLs', () => {
+    assertTruthy(Either.isLeft(encodeAttribute('onclick', 'alert(1)')), 'Inline handler should be rejected');
+    assertTruthy(Either.isLeft(encodeAttribute('href', 'javascript:alert(1)')), 'javascript: URL should be rejected');
+    assertTruthy(Either.isRight(encodeAttribute('href', '/about')), 'Relative URL should be allowed');
+    assertEqual(encodeAttribute('data-x', trusted('<raw>')).value, '<raw>', 'Trusted value should pass through');
+});
+
+await test('encodeAttribute should check every URL in srcset and reject untrusted srcdoc', () => {
+    assertTruthy(Either.isRight(encodeAttribute('srcset', 'small.png 1x, large.png 2x')), 'Relative candidates should be allowed');
+    assertTruthy(Either.isLeft(encodeAttribute('srcset', 'small.png 1x, javascript:alert(1) 2x')), 'One bad candidate should block the set');
+    assertTruthy(Either.isLeft(encodeAttribute('srcdoc', '<script>alert(1)</script>')), 'Plain srcdoc should be rejected');
+    assertEqual(encodeAttribute('srcdoc', trusted('<p>vetted</p>')).value, '<p>vetted</p>', 'Trusted srcdoc should pass through');
+});
+
+await test('a trusted value used as a child should render as text', () => {
+    const container = createContainer();
+    render(jsx('p', {}, [trusted('<b>raw</b>')]), container);
+    assertEqual(container.firstChild.textContent, '<b>raw</b>', 'Trusted child should be text');
+    assertEqual(container.firstChild.children.length, 0, 'Trusted child should not create elements');
+    assertEqual(renderToString(jsx('p', {}, [trusted('<b>')])), '<p>&lt;b&gt;</p>', 'Server output should escape it as text');
+    container.remove();
+});
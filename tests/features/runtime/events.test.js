@@ -0,0 +1,85 @@
+// Delegated event tests: handlers dispatch through the root, and roots release their listeners on teardown
+import { jsx, render, unmount, Portal } from '../../../src/core/runtime/jsx.js';
+import Either from '../../../src/core/types/either.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running delegated event tests...');
+
+// Record the native listeners currently attached to a node
+const trackListeners = (node) => {
+    const active = new Set();
+    const add = node.addEventListener.bind(node);
+    const remove = node.removeEventListener.bind(node);
+    node.addEventListener = (type, listener, capture) => {
+        active.add(listener);
+        add(type, listener, capture);
+    };
+    node.removeEventListener = (type, listener, capture) => {
+        active.delete(listener);
+        remove(type, listener, capture);
+    };
+    return active;
+};
+
+await test('handlers should run through the root and stop after unmount', () => {
+    let clicks = 0;
+    const container = createContainer();
+    const listeners = trackListeners(container);
+    render(jsx('button', { onClick: () => { clicks++; } }, 'Go'), container);
+    const button = container.querySelector('button');
+    button.click();
+    assertEqual(clicks, 1, 'Delegated handler should run');
+    assertTruthy(listeners.size > 0, 'Root should have native listeners');
+
+    assertTruthy(Either.isRight(unmount(container)), 'Unmount should succeed');
+    assertEqual(container.childNodes.length, 0, 'Rendered nodes should be removed');
+    assertEqual(listeners.size, 0, 'Root listeners should be removed');
+    container.appendChild(button);
+    button.click();
+    assertEqual(clicks, 1, 'Handler should not run after unmount');
+    container.remove();
+});
+
+await test('a container rendered again after unmount should dispatch events', () => {
+    let clicks = 0;
+    const container = createContainer();
+    render(jsx('button', { onClick: () => { clicks++; } }, 'Go'), container);
+    unmount(container);
+    render(jsx('button', { onClick: () => { clicks++; } }, 'Again'), container);
+    container.querySelector('button').click();
+    assertEqual(clicks, 1, 'Handler should run once after re-registering');
+    container.remove();
+});
+
+await test('portal targets should release their listeners when the last portal unmounts', () => {
+    let clicks = 0;
+    const container = createContainer();
+    const target = createContainer();
+    const listeners = trackListeners(target);
+    const portal = key => jsx(Portal, { key, container: target },
+        jsx('button', { className: key, onClick: () => { clicks++; } }, key));
+
+    render(jsx('div', {}, [portal('a'), portal('b')]), container);
+    render(jsx('div', {}, [portal('b')]), container);
+    target.querySelector('.b').click();
+    assertEqual(clicks, 1, 'Remaining portal should still dispatch');
+    assertTruthy(listeners.size > 0, 'Target should keep listening while a portal uses it');
+
+    render(jsx('div', {}), container);
+    assertEqual(listeners.size, 0, 'Target listeners should be removed');
+    assertEqual(target.childNodes.length, 0, 'Portal content should be removed');
+    container.remove();
+    target.remove();
+});
+
+await test('unmounting a root should tear down the portals inside it', () => {
+    const container = createContainer();
+    const target = createContainer();
+    const listeners = trackListeners(target);
+    render(jsx('div', {}, jsx(Portal, { container: target }, jsx('button', { onClick: () => {} }, 'x'))), container);
+    unmount(container);
+    assertEqual(listeners.size, 0, 'Portal target listeners should be removed');
+    assertEqual(target.childNodes.length, 0, 'Portal content should be removed');
+    container.remove();
+    target.remove();
+});
@@ -0,0 +1,75 @@
+// Fragment and portal tests: wrapper-free children and content rendered into another container
+import { jsx, render, Fragment, Portal } from '../../../src/core/runtime/jsx.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running fragment and portal tests...');
+
+await test('fragments should render their children without a wrapper', () => {
+    const container = createContainer();
+    render(jsx('ul', {}, [jsx('li', {}, 'a'), jsx(Fragment, {}, [jsx('li', {}, 'b'), jsx('li', {}, 'c')])]), container);
+    assertEqual(container.innerHTML, '<ul><li>a</li><li>b</li><li>c</li></ul>', 'Fragment children should be inline');
+    container.remove();
+});
+
+await test('keyed fragments should move as a unit and keep their nodes', () => {
+    const pair = key => jsx(Fragment, { key }, [jsx('dt', {}, key), jsx('dd', {}, `${key}!`)]);
+    const container = createContainer();
+    render(jsx('dl', {}, [pair('a'), pair('b')]), container);
+    const [aTerm, bTerm] = container.querySelectorAll('dt');
+
+    render(jsx('dl', {}, [pair('b'), pair('a')]), container);
+    assertEqual(container.firstChild.textContent, 'bb!aa!', 'Pairs should be reordered');
+    const terms = container.querySelectorAll('dt');
+    assertEqual(terms[0], bTerm, 'b should keep its node');
+    assertEqual(terms[1], aTerm, 'a should keep its node');
+    container.remove();
+});
+
+await test('a component returning a fragment should render every child', () => {
+    const Cells = ({ values }) => jsx(Fragment, {}, values.map(value => jsx('td', { key: value }, value)));
+    const container = createContainer();
+    render(jsx('table', {}, jsx('tbody', {}, jsx('tr', {}, jsx(Cells, { values: [1, 2] })))), container);
+    render(jsx('table', {}, jsx('tbody', {}, jsx('tr', {}, jsx(Cells, { values: [1, 2, 3] })))), container);
+    assertEqual(container.querySelectorAll('td').length, 3, 'Added cell should render');
+    container.remove();
+});
+
+await test('portals should render into their container and dispatch its events', () => {
+    let clicks = 0;
+    const container = createContainer();
+    const target = createContainer();
+    render(jsx('div', {}, [
+        jsx('p', {}, 'inline'),
+        jsx(Portal, { container: target }, jsx('button', { onClick: () => { clicks++; } }, 'Close'))
+    ]), container);
+    assertEqual(target.querySelector('button').textContent, 'Close', 'Portal content should be in the target');
+    assertEqual(container.querySelector('button'), null, 'Portal content should not be in the owner');
+
+    target.querySelector('button').click();
+    assertEqual(clicks, 1, 'Handler inside the portal should run');
+    container.remove();
+    target.remove();
+});
+
+await test('portal content should update in place and be removed with its owner', () => {
+    const container = createContainer();
+    const target = createContainer();
+    const view = text => jsx('div', {}, jsx(Portal, { container: target }, jsx('span', {}, text)));
+    render(view('one'), container);
+    const span = target.firstChild;
+
+    render(view('two'), container);
+    assertEqual(target.firstChild, span, 'Portal node should be reused');
+    assertEqual(span.textContent, 'two', 'Portal text should update');
+
+    render(jsx('div', {}), container);
+    assertEqual(target.childNodes.length, 0, 'Portal content should be removed');
+    container.remove();
+    target.remove();
+});
+
+await test('a portal without a container should be rejected', () => {
+    const element = jsx(Portal, {}, 'lost');
+    assertEqual(element.type, 'Left', 'createElement should return Left');
+    assertTruthy(String(element.value).includes('container'), 'Error should mention the container');
+});
@@ -0,0 +1,59 @@
+// Hook tests: per-instance state, effects with cleanup and memo
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { useState, useEffect, useMemo } from '../../../src/systems/render/hooks.js';
+import { test, assertEqual, assertDeepEqual, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running hook tests...');
+
+await test('useState should keep separate state per instance and re-render on change', async () => {
+    const setters = [];
+    const Counter = ({ label }) => {
+        const [count, setCount] = useState(0);
+        setters.push(setCount);
+        return jsx('span', {}, `${label}${count}`);
+    };
+    const container = createContainer();
+    render(jsx('div', {}, [jsx(Counter, { key: 'a', label: 'a' }), jsx(Counter, { key: 'b', label: 'b' })]), container);
+
+    setters[1](count => count + 5);
+    await tick();
+    assertEqual(container.textContent, 'a0b5', 'Only the second counter should change');
+    container.remove();
+});
+
+await test('useEffect should run after commit, clean up on change and on unmount', async () => {
+    const calls = [];
+    const Effect = ({ id }) => {
+        useEffect(() => {
+            calls.push(`run ${id}`);
+            return () => calls.push(`cleanup ${id}`);
+        }, [id]);
+        return jsx('i', {}, id);
+    };
+    const container = createContainer();
+    render(jsx(Effect, { id: 1 }), container);
+    render(jsx(Effect, { id: 1 }), container);
+    render(jsx(Effect, { id: 2 }), container);
+    render(jsx('p', {}), container);
+    await tick();
+    assertDeepEqual(calls, ['run 1', 'cleanup 1', 'run 2', 'cleanup 2'], 'Effect calls');
+    container.remove();
+});
+
+await test('useMemo should keep its value until the deps change', () => {
+    let computed = 0;
+    const Memo = ({ n }) => {
+        const doubled = useMemo(() => {
+            computed++;
+            return n * 2;
+        }, [n]);
+        return jsx('b', {}, doubled);
+    };
+    const container = createContainer();
+    render(jsx(Memo, { n: 2, other: 1 }), container);
+    render(jsx(Memo, { n: 2, other: 2 }), container);
+    assertEqual(computed, 1, 'Memoized value should be computed once for the same deps');
+    render(jsx(Memo, { n: 3, other: 2 }), container);
+    assertEqual(container.textContent, '6', 'Changed deps should recompute');
+    container.remove();
+});
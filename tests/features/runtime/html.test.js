@@ -0,0 +1,62 @@
+// html tagged template tests: the same element trees as createElement, without a compiler
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { html } from '../../../src/core/runtime/html.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import Either from '../../../src/core/types/either.js';
+import { test, assertEqual, assertDeepEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running html template tests...');
+
+await test('html should build the same tree as createElement', () => {
+    const kind = 'hero';
+    const fromTemplate = html`
+        <section class=${kind} data-id="1">
+            <h1>Title</h1>
+            <input disabled />
+        </section>
+    `;
+    const fromJsx = jsx('section', { class: kind, 'data-id': '1' }, [jsx('h1', {}, 'Title'), jsx('input', { disabled: true })]);
+    assertDeepEqual(fromTemplate, fromJsx, 'Trees should match');
+});
+
+await test('interpolated values should be escaped, never parsed as markup', () => {
+    const input = '<img src=x onerror=alert(1)>';
+    const container = createContainer();
+    render(html`<p title=${input}>${input}</p>`, container);
+    assertEqual(container.querySelector('img'), null, 'No element should be created from a value');
+    assertEqual(container.firstChild.textContent, input, 'Value should be shown as text');
+    assertEqual(renderToString(html`<b>${input}</b>`), '<b>&lt;img src=x onerror=alert(1)&gt;</b>', 'Server markup');
+});
+
+await test('components, props and children should interpolate', () => {
+    const Card = ({ title, children }) => html`<article><h2>${title}</h2>${children}</article>`;
+    const onClick = () => {};
+    const element = html`<${Card} title="Hello" ...${{ id: 'c' }}><button onClick=${onClick}>Go</button></${Card}>`;
+    assertEqual(element.value.type, Card, 'Component should be the element type');
+    assertEqual(element.value.props.id, 'c', 'Spread props should be applied');
+    assertEqual(renderToString(element), '<article><h2>Hello</h2><button>Go</button></article>', 'Rendered markup');
+});
+
+await test('static text should decode entities and collapse indentation', () => {
+    const element = html`
+        <p>Tom &amp; Jerry
+           &copy; ${'&amp;'}</p>
+    `;
+    assertDeepEqual(element.value.props.children, ['Tom & Jerry © ', '&amp;'], 'Children text');
+});
+
+await test('several roots should come back in a fragment', () => {
+    assertEqual(renderToString(html`<dt>a</dt><dd>b</dd>`), '<dt>a</dt><dd>b</dd>', 'Fragment markup');
+});
+
+await test('the same call site should reuse its parsed template', () => {
+    const item = label => html`<li>${label}</li>`;
+    assertDeepEqual([item('a'), item('b')].map(element => element.value.props.children), [['a'], ['b']], 'Each call gets its own values');
+});
+
+await test('malformed templates should return Left', () => {
+    assertTruthy(Either.isLeft(html`<div><span></div>`), 'Mismatched closing tag');
+    const Other = () => null;
+    const Card = () => null;
+    assertTruthy(Either.isLeft(html`<${Card}></${Other}>`), 'Mismatched interpolated closing tag');
+});
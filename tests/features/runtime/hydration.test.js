@@ -0,0 +1,49 @@
+// Hydration tests: prerendered markup is adopted, and replaced only when it does not match
+import { jsx, hydrate } from '../../../src/core/runtime/jsx.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running hydration tests...');
+
+const Greeting = ({ name, onClick }) =>
+    jsx('section', { className: 'greeting' }, [
+        jsx('h2', {}, `Hello ${name}`),
+        jsx('button', { type: 'button', onClick }, 'Wave')
+    ]);
+
+await test('hydrate should adopt the prerendered nodes and attach listeners', () => {
+    let clicks = 0;
+    const onClick = () => { clicks++; };
+    const container = createContainer();
+    container.innerHTML = renderToString(jsx(Greeting, { name: 'Ada', onClick }));
+    const section = container.firstChild;
+    const button = container.querySelector('button');
+
+    hydrate(jsx(Greeting, { name: 'Ada', onClick }), container);
+    assertEqual(container.firstChild, section, 'Section node should be adopted');
+    assertEqual(container.querySelector('button'), button, 'Button node should be adopted');
+    button.click();
+    assertEqual(clicks, 1, 'Listener should be attached to the adopted button');
+    container.remove();
+});
+
+await test('hydrate should fall back to a client render on a text mismatch', () => {
+    const container = createContainer();
+    container.innerHTML = renderToString(jsx(Greeting, { name: 'Ada' }));
+    const section = container.firstChild;
+
+    hydrate(jsx(Greeting, { name: 'Grace' }), container);
+    assertEqual(container.querySelector('h2').textContent, 'Hello Grace', 'Client content should win');
+    assertTruthy(container.firstChild !== section, 'Mismatched markup should be replaced');
+    assertEqual(container.querySelectorAll('section').length, 1, 'Only one tree should remain');
+    container.remove();
+});
+
+await test('hydrate should fall back to a client render on an element mismatch', () => {
+    const container = createContainer();
+    container.innerHTML = '<div><p>stale</p></div>';
+
+    hydrate(jsx('div', {}, jsx('span', {}, 'fresh')), container);
+    assertEqual(container.innerHTML, '<div><span>fresh</span></div>', 'Client markup should replace the stale tree');
+    container.remove();
+});
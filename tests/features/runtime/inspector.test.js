@@ -0,0 +1,110 @@
+// Component inspector tests: the live component tree with props, keys and render reasons
+import { jsx } from '../../../src/core/runtime/jsx.js';
+import { configureRuntime } from '../../../src/core/runtime/config.js';
+import { useState } from '../../../src/systems/render/hooks.js';
+import { installComponentInspector } from '../../../src/systems/render/inspector.js';
+import { scheduleRender, flushRenders } from '../../../src/systems/render/scheduler.js';
+import { test, assertEqual, assertTruthy, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running component inspector tests...');
+
+// Run work with the inspector switched on, restoring the previous settings afterwards
+const withInspector = async (work) => {
+    const previous = configureRuntime();
+    configureRuntime({ inspector: true });
+    try {
+        return await work();
+    } finally {
+        configureRuntime(previous);
+    }
+};
+
+let setLabel = null;
+const Item = ({ label }) => jsx('li', {}, label);
+const List = () => {
+    const [label, setter] = useState('first');
+    setLabel = setter;
+    return jsx('ul', {}, [jsx(Item, { key: 'a', label }), jsx(Item, { key: 'b', label: 'second' })]);
+};
+
+const panelText = () => document.getElementById('flexnet-inspector').textContent;
+
+await test('installComponentInspector should do nothing unless the inspector is enabled', () => {
+    const previous = configureRuntime();
+    configureRuntime({ inspector: false });
+    const remove = installComponentInspector(createContainer());
+    configureRuntime(previous);
+    assertEqual(document.getElementById('flexnet-inspector'), null, 'No panel should be added');
+    remove();
+});
+
+await test('the inspector should list components with keys, props and the render reason', () => withInspector(() => {
+    const container = createContainer();
+    scheduleRender(container, jsx(List), undefined, 'pageStore update');
+    flushRenders();
+    const remove = installComponentInspector(container);
+    flushRenders();
+
+    const text = panelText();
+    assertTruthy(text.includes('<List>'), 'Root component should be listed');
+    assertTruthy(text.includes('<Item key="a"> label="first"'), 'Keys and props should be listed');
+    assertTruthy(text.includes('last: pageStore update'), 'Store render reason should be shown');
+    assertTruthy(!text.includes('<ul>'), 'Elements should be hidden by default');
+    remove();
+    container.remove();
+}));
+
+await test('the inspector should refresh after a state change and say what caused it', () => withInspector(async () => {
+    const container = createContainer();
+    scheduleRender(container, jsx(List));
+    flushRenders();
+    const remove = installComponentInspector(container);
+    flushRenders();
+
+    setLabel('changed');
+    await tick();
+    flushRenders();
+    const text = panelText();
+    assertTruthy(text.includes('label="changed"'), 'New props should be shown');
+    assertTruthy(text.includes('rendered 2× · last: state change in List'), 'State change should be the reason');
+    remove();
+    container.remove();
+}));
+
+await test('selecting a row should highlight its DOM and removing should take the panel out', () => withInspector(() => {
+    const container = createContainer();
+    scheduleRender(container, jsx(List));
+    flushRenders();
+    const remove = installComponentInspector(container);
+    flushRenders();
+
+    const panel = document.getElementById('flexnet-inspector');
+    const row = [...panel.querySelectorAll('button')].find(button => button.textContent.startsWith('<List>'));
+    row.click();
+    flushRenders();
+    assertEqual(panel.firstChild.children.length, 2, 'Highlight box should be drawn next to the panel');
+
+    [...panel.querySelectorAll('button')].find(button => button.textContent === 'Show elements').click();
+    flushRenders();
+    assertTruthy(panelText().includes('<ul>'), 'Elements should be listed once shown');
+
+    remove();
+    assertEqual(document.getElementById('flexnet-inspector'), null, 'Panel should be removed');
+    container.remove();
+}));
+
+await test('removing the inspector should drop a refresh that is still scheduled', () => withInspector(() => {
+    const container = createContainer();
+    scheduleRender(container, jsx(List));
+    flushRenders();
+    const remove = installComponentInspector(container);
+    flushRenders();
+    const panel = document.getElementById('flexnet-inspector');
+
+    scheduleRender(container, jsx(List), undefined, 'pageStore update');
+    flushRenders();
+    remove();
+    flushRenders();
+    assertEqual(panel.childNodes.length, 0, 'Nothing should be committed to the removed panel');
+    container.remove();
+}));
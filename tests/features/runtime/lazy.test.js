@@ -0,0 +1,95 @@
+// Lazy component tests: loading fallback, shared loads, and failures handed to error boundaries
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { lazy } from '../../../src/systems/render/lazy.js';
+import { createErrorBoundary } from '../../../src/systems/errors/boundary.js';
+import { test, assertEqual, assertTruthy, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running lazy component tests...');
+
+// A load that fails until succeed() is called, counting every import attempt
+const flakyModule = () => {
+    const state = { attempts: 0, fail: true };
+    const load = () => {
+        state.attempts++;
+        return state.fail
+            ? Promise.reject(new Error('chunk 404'))
+            : Promise.resolve({ default: ({ label }) => jsx('b', {}, `loaded ${label}`) });
+    };
+    return { state, load };
+};
+
+await test('lazy should show the fallback, then the loaded component', async () => {
+    let attempts = 0;
+    const Page = lazy(() => {
+        attempts++;
+        return Promise.resolve({ default: ({ label }) => jsx('b', {}, label) });
+    });
+    const container = createContainer();
+    render(jsx('div', {}, [jsx(Page, { label: 'one' }), jsx(Page, { label: 'two' })]), container);
+    assertEqual(container.querySelectorAll('[role=status]').length, 2, 'Loading fallbacks should render');
+
+    await tick(10);
+    assertEqual(container.textContent, 'onetwo', 'Loaded components should render');
+    assertEqual(attempts, 1, 'Every use should share one import');
+    container.remove();
+});
+
+await test('a failed load should reach the nearest error boundary', async () => {
+    const { load } = flakyModule();
+    const Page = lazy(load);
+    const Boundary = createErrorBoundary(error => jsx('p', { role: 'alert' }, error.message));
+    const container = createContainer();
+    render(jsx('main', {}, [jsx('h1', {}, 'Title'), jsx(Boundary, {}, jsx(Page, { label: 'x' }))]), container);
+
+    await tick(10);
+    const alert = container.querySelector('[role=alert]');
+    assertTruthy(alert && alert.textContent.includes('chunk 404'), 'Boundary fallback should show the load error');
+    assertEqual(container.querySelector('h1').textContent, 'Title', 'Content outside the boundary should stay');
+    container.remove();
+});
+
+await test('resetting the boundary should import the module again', async () => {
+    const { state, load } = flakyModule();
+    const Page = lazy(load);
+    const Boundary = createErrorBoundary((error, { reset }) => jsx('button', { type: 'button', onClick: reset }, 'Try again'));
+    const container = createContainer();
+    render(jsx(Boundary, {}, jsx(Page, { label: 'x' })), container);
+    await tick(10);
+
+    state.fail = false;
+    container.querySelector('button').click();
+    await tick(10);
+    assertEqual(container.textContent, 'loaded x', 'Retried load should render the component');
+    assertEqual(state.attempts, 2, 'Module should be imported twice');
+    container.remove();
+});
+
+await test('errorFallback should render the failure in place when given', async () => {
+    const { state, load } = flakyModule();
+    const Page = lazy(load, {
+        errorFallback: ({ error, retry }) => jsx('button', { type: 'button', onClick: retry }, `Retry: ${error.message}`)
+    });
+    const container = createContainer();
+    render(jsx(Page, { label: 'y' }), container);
+    await tick(10);
+    assertEqual(container.textContent, 'Retry: chunk 404', 'Override should render the error');
+
+    state.fail = false;
+    container.querySelector('button').click();
+    await tick(10);
+    assertEqual(container.textContent, 'loaded y', 'retry should load again');
+    container.remove();
+});
+
+await test('preload should resolve with the component and reject on failure', async () => {
+    const Loaded = () => null;
+    const component = await lazy(() => Promise.resolve({ default: Loaded })).preload();
+    assertEqual(component, Loaded, 'preload should resolve with the component');
+
+    const { load } = flakyModule();
+    const rejected = await lazy(load).preload().then(() => null, error => error);
+    assertTruthy(rejected && rejected.message === 'chunk 404', 'preload should reject with the load error');
+
+    const missing = await lazy(() => Promise.resolve({}), { exportName: 'Page' }).preload().then(() => null, error => error);
+    assertTruthy(missing && missing.message.includes('"Page"'), 'A missing export should reject');
+});
@@ -0,0 +1,89 @@
+// Ref and lifecycle tests: elements reach ref, onMount and onUnmount once they are in the document
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { useRef, useEffect } from '../../../src/systems/render/hooks.js';
+import { test, assertEqual, assertDeepEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running ref and lifecycle tests...');
+
+await test('object refs should get the element before effects run', () => {
+    let seen = null;
+    const Field = () => {
+        const input = useRef();
+        useEffect(() => {
+            seen = input.current;
+        }, []);
+        return jsx('input', { ref: input });
+    };
+    const container = createContainer();
+    render(jsx(Field), container);
+    assertEqual(seen, container.querySelector('input'), 'Effect should see the attached element');
+    container.remove();
+});
+
+await test('useRef should keep the same object between renders', () => {
+    const refs = [];
+    const Counter = ({ n }) => {
+        const renders = useRef(0);
+        renders.current += 1;
+        refs.push(renders);
+        return jsx('i', {}, `${n}:${renders.current}`);
+    };
+    const container = createContainer();
+    render(jsx(Counter, { n: 1 }), container);
+    render(jsx(Counter, { n: 2 }), container);
+    assertEqual(refs[0], refs[1], 'Ref object should be the same between renders');
+    assertEqual(container.textContent, '2:2', 'Ref value should persist without re-rendering');
+    container.remove();
+});
+
+await test('onMount should run in the document, children before parents, with its cleanup on removal', () => {
+    const calls = [];
+    const track = name => dom => {
+        calls.push(`mount ${name} ${dom.isConnected}`);
+        return () => calls.push(`cleanup ${name}`);
+    };
+    const container = createContainer();
+    render(jsx('div', { onMount: track('outer'), onUnmount: () => calls.push('unmount outer') },
+        jsx('p', { onMount: track('inner') })), container);
+    render(jsx('section', {}), container);
+    assertDeepEqual(calls, [
+        'mount inner true',
+        'mount outer true',
+        'cleanup inner',
+        'cleanup outer',
+        'unmount outer'
+    ], 'Lifecycle order');
+    container.remove();
+});
+
+await test('function refs should be called with the element, then null', () => {
+    const calls = [];
+    const ref = dom => calls.push(dom ? dom.nodeName : null);
+    const container = createContainer();
+    render(jsx('div', {}, jsx('span', { ref })), container);
+    render(jsx('div', {}), container);
+    assertDeepEqual(calls, ['SPAN', null], 'Ref calls');
+    container.remove();
+});
+
+await test('swapping the ref prop should release the old ref', () => {
+    const first = { current: null };
+    const second = { current: null };
+    const container = createContainer();
+    render(jsx('b', { ref: first }), container);
+    const node = container.firstChild;
+    render(jsx('b', { ref: second }), container);
+    assertEqual(first.current, null, 'Old ref should be cleared');
+    assertEqual(second.current, node, 'New ref should get the same element');
+    container.remove();
+});
+
+await test('onMount should not run for re-renders of the same element', () => {
+    let mounts = 0;
+    const container = createContainer();
+    render(jsx('p', { onMount: () => { mounts++; } }, 'one'), container);
+    render(jsx('p', { onMount: () => { mounts++; } }, 'two'), container);
+    assertEqual(mounts, 1, 'onMount should run once');
+    assertTruthy(container.textContent === 'two', 'Content should update');
+    container.remove();
+});
@@ -0,0 +1,61 @@
+// Memo tests: unchanged props skip the subtree, state and context still re-render it
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { memo, shallowEqual } from '../../../src/systems/render/memo.js';
+import { useState } from '../../../src/systems/render/hooks.js';
+import { test, assertEqual, assertTruthy, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running memo tests...');
+
+await test('memo should skip re-rendering while props stay shallow-equal', () => {
+    let renders = 0;
+    const Label = memo(({ text }) => {
+        renders++;
+        return jsx('span', {}, text);
+    });
+    const container = createContainer();
+    render(jsx('div', {}, jsx(Label, { text: 'a' })), container);
+    render(jsx('div', {}, jsx(Label, { text: 'a' })), container);
+    assertEqual(renders, 1, 'Equal props should skip the render');
+
+    render(jsx('div', {}, jsx(Label, { text: 'b' })), container);
+    assertEqual(renders, 2, 'Changed props should render');
+    assertEqual(container.textContent, 'b', 'New text should show');
+    container.remove();
+});
+
+await test('a memoized component should still re-render on its own state', async () => {
+    let setCount;
+    const Counter = memo(() => {
+        const [count, set] = useState(0);
+        setCount = set;
+        return jsx('b', {}, count);
+    });
+    const container = createContainer();
+    render(jsx(Counter), container);
+    setCount(3);
+    await tick();
+    assertEqual(container.textContent, '3', 'State update should render');
+    container.remove();
+});
+
+await test('a custom equality function should decide when to skip', () => {
+    let renders = 0;
+    const Item = memo(({ item }) => {
+        renders++;
+        return jsx('i', {}, item.name);
+    }, (previous, next) => previous.item.id === next.item.id);
+    const container = createContainer();
+    render(jsx(Item, { item: { id: 1, name: 'a' } }), container);
+    render(jsx(Item, { item: { id: 1, name: 'b' } }), container);
+    assertEqual(renders, 1, 'Same id should skip');
+    assertEqual(container.textContent, 'a', 'Skipped render should keep the old output');
+    container.remove();
+});
+
+await test('shallowEqual should compare children item by item', () => {
+    const child = jsx('span', {});
+    assertTruthy(shallowEqual({ a: 1, children: [] }, { a: 1, children: [] }), 'Empty children are equal');
+    assertTruthy(shallowEqual({ children: [child] }, { children: [child] }), 'The same child elements are equal');
+    assertTruthy(!shallowEqual({ children: [child] }, { children: [jsx('span', {})] }), 'New child elements differ');
+    assertTruthy(!shallowEqual({ a: 1 }, { a: 1, b: 2 }), 'Extra keys differ');
+});
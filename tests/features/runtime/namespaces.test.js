@@ -0,0 +1,59 @@
+// Namespace tests: SVG and MathML elements are created in their own namespace
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import { test, assertEqual, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running namespace tests...');
+
+const SVG = 'http://www.w3.org/2000/svg';
+const XHTML = 'http://www.w3.org/1999/xhtml';
+
+await test('svg children should be created in the SVG namespace', () => {
+    const container = createContainer();
+    render(jsx('svg', { viewBox: '0 0 10 10' }, jsx('circle', { cx: 5, cy: 5, r: 4, strokeWidth: 2 })), container);
+    const svg = container.firstChild;
+    const circle = svg.firstChild;
+    assertEqual(svg.namespaceURI, SVG, 'svg namespace');
+    assertEqual(circle.namespaceURI, SVG, 'circle namespace');
+    assertEqual(svg.getAttribute('viewBox'), '0 0 10 10', 'Case-sensitive attribute should keep its case');
+    assertEqual(circle.getAttribute('stroke-width'), '2', 'camelCase SVG prop should be hyphenated');
+    container.remove();
+});
+
+await test('foreignObject content should be HTML again', () => {
+    const container = createContainer();
+    render(jsx('svg', {}, jsx('foreignObject', {}, jsx('p', { className: 'note' }, 'hi'))), container);
+    const paragraph = container.querySelector('p');
+    assertEqual(paragraph.namespaceURI, XHTML, 'p namespace');
+    assertEqual(paragraph.getAttribute('class'), 'note', 'className should map to class');
+    container.remove();
+});
+
+await test('math children should be created in the MathML namespace', () => {
+    const container = createContainer();
+    render(jsx('math', {}, jsx('mi', {}, 'x')), container);
+    assertEqual(container.firstChild.firstChild.namespaceURI, 'http://www.w3.org/1998/Math/MathML', 'mi namespace');
+    container.remove();
+});
+
+await test('xlink attributes should be set in the XLink namespace', () => {
+    const container = createContainer();
+    render(jsx('svg', {}, jsx('use', { xlinkHref: '#icon' })), container);
+    const use = container.querySelector('use');
+    assertEqual(use.getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#icon', 'xlink:href');
+    container.remove();
+});
+
+await test('rendering into an svg container should create SVG nodes', () => {
+    const container = createContainer();
+    const svg = document.createElementNS(SVG, 'svg');
+    container.appendChild(svg);
+    render(jsx('rect', { width: 1, height: 1 }), svg);
+    assertEqual(svg.firstChild.namespaceURI, SVG, 'rect namespace');
+    container.remove();
+});
+
+await test('renderToString should self-close empty SVG elements', () => {
+    const markup = renderToString(jsx('svg', { viewBox: '0 0 1 1' }, jsx('path', { d: 'M0' })));
+    assertEqual(markup, '<svg viewBox="0 0 1 1"><path d="M0" /></svg>', 'Server markup');
+});
@@ -0,0 +1,59 @@
+// Prop schema tests: components with a propSchema are checked by createElement in development
+import { jsx } from '../../../src/core/runtime/jsx.js';
+import { PropTypes, validateProps } from '../../../src/core/runtime/prop-types.js';
+import { configureRuntime } from '../../../src/core/runtime/config.js';
+import Either from '../../../src/core/types/either.js';
+import { test, assertEqual, assertTruthy } from '../test-helpers.js';
+
+console.log('🧪 Running prop schema tests...');
+
+const Card = ({ title }) => jsx('h2', {}, title);
+Card.propSchema = {
+    title: PropTypes.string.isRequired,
+    size: PropTypes.oneOf(['small', 'large']),
+    tags: PropTypes.arrayOf(PropTypes.string),
+    onOpen: PropTypes.func
+};
+
+// Run work with the given runtime settings, restoring the previous ones afterwards
+const withRuntime = (options, work) => {
+    const previous = configureRuntime();
+    configureRuntime(options);
+    try {
+        return work();
+    } finally {
+        configureRuntime(previous);
+    }
+};
+
+await test('validateProps should accept props that match the schema', () => {
+    const result = validateProps(Card, { title: 'Hi', size: 'small', tags: ['a'], onOpen: () => {} });
+    assertTruthy(Either.isRight(result), 'Valid props should pass');
+    assertTruthy(Either.isRight(validateProps(() => null, { anything: 1 })), 'Components without a schema should pass');
+});
+
+await test('validateProps should report every failing prop', () => {
+    const result = validateProps(Card, { size: 'huge', tags: ['a', 2] });
+    assertTruthy(Either.isLeft(result), 'Invalid props should fail');
+    assertTruthy(result.value.startsWith('<Card>'), 'Message should name the component');
+    assertTruthy(result.value.includes('prop "title" is required'), 'Missing required prop');
+    assertTruthy(result.value.includes('prop "size" should be one of "small", "large"'), 'Value outside the allowed list');
+    assertTruthy(result.value.includes('prop "tags[1]" should be a string, got number 2'), 'Array item');
+});
+
+await test('PropTypes.shape should check nested keys', () => {
+    const validator = PropTypes.shape({ id: PropTypes.number.isRequired });
+    assertTruthy(Either.isRight(validator({ id: 1 }, 'item')), 'Valid shape');
+    assertEqual(validator({ id: '1' }, 'item').value, 'prop "item.id" should be a number, got string "1"', 'Nested error');
+});
+
+await test('createElement should reject invalid props in development', () => {
+    const element = withRuntime({ development: true }, () => jsx(Card, { size: 'small' }));
+    assertTruthy(Either.isLeft(element), 'Element should be Left');
+    assertTruthy(element.value.includes('title'), 'Error should name the prop');
+});
+
+await test('createElement should skip prop checks in production', () => {
+    const element = withRuntime({ development: false, diagnostics: false }, () => jsx(Card, { size: 'small' }));
+    assertTruthy(Either.isRight(element), 'Element should be created without checking');
+});
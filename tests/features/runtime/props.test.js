@@ -0,0 +1,58 @@
+// Prop mapping tests: form state, boolean attributes and how props reach the DOM
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import { test, assertEqual, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running prop mapping tests...');
+
+const select = (props, options) =>
+    jsx('select', props, options.map(option => jsx('option', { key: option, value: option }, option)));
+
+await test('a select value should be applied on first mount', () => {
+    const container = createContainer();
+    render(select({ value: 'b' }, ['a', 'b', 'c']), container);
+    assertEqual(container.firstChild.value, 'b', 'Initial value should select the matching option');
+    container.remove();
+});
+
+await test('selectedIndex should be applied after the options mount', () => {
+    const container = createContainer();
+    render(select({ selectedIndex: 2 }, ['a', 'b', 'c']), container);
+    assertEqual(container.firstChild.selectedIndex, 2, 'Third option should be selected');
+    assertEqual(container.firstChild.hasAttribute('selectedIndex'), false, 'selectedIndex should not become an attribute');
+    container.remove();
+});
+
+await test('a select value should follow options added in the same render', () => {
+    const container = createContainer();
+    render(select({ value: 'a' }, ['a']), container);
+    render(select({ value: 'z' }, ['a', 'z']), container);
+    assertEqual(container.firstChild.value, 'z', 'New option should be selected');
+    container.remove();
+});
+
+await test('boolean attributes should be present or absent', () => {
+    const container = createContainer();
+    render(jsx('input', { disabled: true, required: false, readOnly: true }), container);
+    const input = container.firstChild;
+    assertEqual(input.getAttribute('disabled'), '', 'true should write an empty value');
+    assertEqual(input.hasAttribute('required'), false, 'false should leave the attribute out');
+    assertEqual(input.hasAttribute('readonly'), true, 'Aliased boolean attribute should be present');
+    container.remove();
+});
+
+await test('other attributes should take "true" and "false"', () => {
+    const container = createContainer();
+    render(jsx('div', { draggable: false, 'aria-hidden': true, spellCheck: true, 'data-open': false }), container);
+    const div = container.firstChild;
+    assertEqual(div.getAttribute('draggable'), 'false', 'Enumerated attribute');
+    assertEqual(div.getAttribute('aria-hidden'), 'true', 'ARIA attribute');
+    assertEqual(div.getAttribute('spellcheck'), 'true', 'Aliased enumerated attribute');
+    assertEqual(div.getAttribute('data-open'), 'false', 'Data attribute');
+    container.remove();
+});
+
+await test('renderToString should follow the same boolean rules', () => {
+    const markup = renderToString(jsx('details', { open: true, hidden: false, 'aria-expanded': false }));
+    assertEqual(markup, '<details open="" aria-expanded="false"></details>', 'Server markup');
+});
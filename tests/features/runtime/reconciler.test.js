@@ -0,0 +1,55 @@
+// Keyed reconciler tests: render() patches the DOM in place instead of rebuilding it
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running reconciler tests...');
+
+const list = keys => jsx('ul', {}, keys.map(key => jsx('li', { key }, key)));
+
+await test('keyed reorder should reuse the existing DOM nodes', () => {
+    const container = createContainer();
+    render(list(['a', 'b', 'c']), container);
+    const [a, b, c] = container.querySelectorAll('li');
+
+    render(list(['c', 'a', 'b']), container);
+    const items = [...container.querySelectorAll('li')];
+    assertEqual(items.map(item => item.textContent).join(''), 'cab', 'Items should be reordered');
+    assertEqual(items[0], c, 'Keyed item c should keep its node');
+    assertEqual(items[1], a, 'Keyed item a should keep its node');
+    assertEqual(items[2], b, 'Keyed item b should keep its node');
+    container.remove();
+});
+
+await test('removing a keyed item should keep its siblings', () => {
+    const container = createContainer();
+    render(list(['a', 'b', 'c']), container);
+    const c = container.querySelectorAll('li')[2];
+
+    render(list(['a', 'c']), container);
+    assertEqual(container.querySelectorAll('li').length, 2, 'One item should be removed');
+    assertEqual(container.querySelectorAll('li')[1], c, 'Item c should keep its node');
+    container.remove();
+});
+
+await test('re-rendering should update text and attributes in place', () => {
+    const container = createContainer();
+    render(jsx('p', { className: 'one' }, 'first'), container);
+    const paragraph = container.firstChild;
+
+    render(jsx('p', { className: 'two' }, 'second'), container);
+    assertEqual(container.firstChild, paragraph, 'Element should be reused');
+    assertEqual(paragraph.className, 'two', 'Class should be updated');
+    assertEqual(paragraph.textContent, 'second', 'Text should be updated');
+    container.remove();
+});
+
+await test('changing the element type should replace the node', () => {
+    const container = createContainer();
+    render(jsx('p', {}, 'text'), container);
+    const paragraph = container.firstChild;
+
+    render(jsx('div', {}, 'text'), container);
+    assertTruthy(container.firstChild !== paragraph, 'A new node should be created');
+    assertEqual(container.firstChild.nodeName, 'DIV', 'Node should be a div');
+    container.remove();
+});
@@ -0,0 +1,68 @@
+// Scheduler tests: coalesced frame renders, flushing and what render hands back
+import { jsx, render, hydrate } from '../../../src/core/runtime/jsx.js';
+import Either from '../../../src/core/types/either.js';
+import { scheduleRender, flushRenders, whenRendered } from '../../../src/systems/render/scheduler.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running render scheduler tests...');
+
+await test('scheduleRender should coalesce renders for a container and commit the latest', async () => {
+    const commits = [];
+    const commit = (element, target) => {
+        commits.push(element);
+        return render(element, target);
+    };
+    const container = createContainer();
+    const first = scheduleRender(container, jsx('p', {}, 'one'), commit);
+    const second = scheduleRender(container, jsx('p', {}, 'two'), commit);
+    assertEqual(first, second, 'Renders in the same frame should share a promise');
+    assertEqual(container.textContent, '', 'Nothing should be committed before the frame');
+
+    const result = await first;
+    assertEqual(commits.length, 1, 'Only one commit should run');
+    assertEqual(container.textContent, 'two', 'Latest element should be committed');
+    assertTruthy(Either.isRight(result), 'Promise should resolve with the commit result');
+    container.remove();
+});
+
+await test('flushRenders should commit pending renders now and whenRendered should settle', async () => {
+    const container = createContainer();
+    scheduleRender(container, jsx('b', {}, 'flushed'));
+    flushRenders();
+    assertEqual(container.textContent, 'flushed', 'Flush should commit synchronously');
+    await whenRendered();
+    container.remove();
+});
+
+await test('render and hydrate should hand back an Either that callers can check', () => {
+    const container = createContainer();
+    const rendered = render(jsx('span', {}, 'ok'), container);
+    assertTruthy(Either.isRight(rendered), 'Successful render should be Right');
+    assertEqual(rendered.value, container.firstChild, 'Right should hold the root DOM node');
+
+    const hydrated = hydrate(jsx('span', {}, 'ok'), container);
+    assertTruthy(Either.isRight(hydrated), 'Successful hydrate should be Right');
+    container.remove();
+});
+
+await test('a failing render should reach the caller as Left', async () => {
+    assertTruthy(Either.isLeft(render(jsx('p', {}), null)), 'Missing container should be Left');
+
+    const container = createContainer();
+    const failed = render(Either.Left('bad element'), container);
+    assertTruthy(Either.isLeft(failed), 'Left element should be Left');
+    assertEqual(failed.value, 'bad element', 'Left should carry the error');
+
+    // The same check commitPage makes on the homepage takes its error branch
+    const commitPage = (element, target) => {
+        const result = render(element, target);
+        if (Either.isLeft(result)) {
+            target.textContent = `Render Error: ${result.value}`;
+        }
+        return result;
+    };
+    const scheduled = await scheduleRender(container, Either.Left('scheduled failure'), commitPage);
+    assertTruthy(Either.isLeft(scheduled), 'Scheduled failure should resolve Left');
+    assertEqual(container.textContent, 'Render Error: scheduled failure', 'Error branch should run');
+    container.remove();
+});
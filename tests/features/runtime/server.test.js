@@ -0,0 +1,40 @@
+// renderToString tests: element trees to HTML without a DOM
+import { jsx, Fragment } from '../../../src/core/runtime/jsx.js';
+import { renderToString } from '../../../src/core/runtime/server.js';
+import { useState, useEffect } from '../../../src/systems/render/hooks.js';
+import { test, assertEqual } from '../test-helpers.js';
+
+console.log('🧪 Running server rendering tests...');
+
+await test('renderToString should render elements, components and fragments', () => {
+    const Item = ({ label }) => jsx('li', {}, label);
+    const markup = renderToString(jsx('ul', { className: 'list' }, [
+        jsx(Item, { label: 'one' }),
+        jsx(Fragment, {}, [jsx(Item, { label: 'two' }), jsx(Item, { label: 'three' })])
+    ]));
+    assertEqual(markup, '<ul class="list"><li>one</li><li>two</li><li>three</li></ul>', 'Rendered markup');
+});
+
+await test('renderToString should write void elements, booleans and styles', () => {
+    const markup = renderToString(jsx('div', { hidden: true, style: { marginTop: 2 } }, [
+        jsx('input', { disabled: true, value: 'x' }),
+        jsx('br', {})
+    ]));
+    assertEqual(markup, '<div hidden="" style="margin-top: 2px"><input disabled="" value="x"><br></div>', 'Rendered markup');
+});
+
+await test('renderToString should use initial state and skip effects', () => {
+    let effects = 0;
+    const Counter = () => {
+        const [count] = useState(3);
+        useEffect(() => { effects++; }, []);
+        return jsx('span', {}, count);
+    };
+    assertEqual(renderToString(jsx(Counter)), '<span>3</span>', 'Initial state should render');
+    assertEqual(effects, 0, 'Effects should not run on the server');
+});
+
+await test('renderToString should leave out event handlers', () => {
+    const markup = renderToString(jsx('button', { onClick: () => {}, type: 'button' }, 'Go'));
+    assertEqual(markup, '<button type="button">Go</button>', 'Handlers should not be serialized');
+});
@@ -0,0 +1,43 @@
+// Style serialization tests: style objects become validated CSS declaration lists
+import { serializeStyle } from '../../../src/core/runtime/style.js';
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import Either from '../../../src/core/types/either.js';
+import { test, assertEqual, assertTruthy, createContainer } from '../test-helpers.js';
+
+console.log('🧪 Running style serialization tests...');
+
+await test('serializeStyle should convert names and add px to numbers', () => {
+    const result = serializeStyle({ marginTop: 4, zIndex: 2, WebkitTransition: 'none', '--gap': 3 });
+    assertTruthy(Either.isRight(result), 'Valid style should serialize');
+    assertEqual(result.value, 'margin-top: 4px; z-index: 2; -webkit-transition: none; --gap: 3', 'Serialized declarations');
+});
+
+await test('serializeStyle should allow semicolons inside url() and quotes', () => {
+    const image = 'url("data:image/png;base64,iVBORw0KGgo=")';
+    const unquoted = serializeStyle({ backgroundImage: 'url(data:image/png;base64,iVBORw0KGgo=)' });
+    assertTruthy(Either.isRight(serializeStyle({ backgroundImage: image })), 'Quoted data URL should be allowed');
+    assertTruthy(Either.isRight(unquoted), 'Unquoted data URL should be allowed');
+    assertTruthy(Either.isRight(serializeStyle({ content: '"a;b"' })), 'Semicolon in a string should be allowed');
+});
+
+await test('serializeStyle should reject values that end the declaration', () => {
+    assertTruthy(Either.isLeft(serializeStyle({ color: 'red; position: fixed' })), 'Bare semicolon should be rejected');
+    assertTruthy(Either.isLeft(serializeStyle({ color: 'url(x); position: fixed' })), 'Semicolon after url() should be rejected');
+    assertTruthy(Either.isLeft(serializeStyle({ content: '"open; position: fixed' })), 'Unterminated string should be rejected');
+});
+
+await test('serializeStyle should reject script-binding properties and values', () => {
+    assertTruthy(Either.isLeft(serializeStyle({ behavior: 'url(x.htc)' })), 'behavior property should be rejected');
+    assertTruthy(Either.isLeft(serializeStyle({ MozBinding: 'url(x.xml)' })), '-moz-binding property should be rejected');
+    assertTruthy(Either.isLeft(serializeStyle({ width: 'expression(alert(1))' })), 'expression() should be rejected');
+    assertTruthy(Either.isLeft(serializeStyle({ background: 'url(javascript:alert(1))' })), 'javascript: url should be rejected');
+});
+
+await test('rendered elements should receive the serialized style', () => {
+    const container = createContainer();
+    render(jsx('div', { style: { backgroundImage: 'url("data:image/png;base64,AAAA")', padding: 8 } }), container);
+    const style = container.firstChild.getAttribute('style');
+    assertTruthy(style.includes('data:image/png;base64,AAAA'), 'Data URL should be kept');
+    assertTruthy(style.includes('padding: 8px'), 'Padding should be serialized');
+    container.remove();
+});
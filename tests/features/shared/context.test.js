@@ -0,0 +1,55 @@
+// Context tests: pages read navigation, theme and locale from the nearest provider
+import { jsx, render } from '../../../src/core/runtime/jsx.js';
+import { memo } from '../../../src/systems/render/memo.js';
+import { NavigationContext, ThemeContext, LocaleContext, theme, useLocale } from '../../../src/features/shared/context.js';
+import AboutPage from '../../../src/features/about/index.js';
+import { test, assertEqual, assertDeepEqual, createContainer, tick } from '../test-helpers.js';
+
+console.log('🧪 Running context tests...');
+
+const withProviders = ({ navigate, tokens = theme, locale = 'en' }, child) =>
+    jsx(NavigationContext.Provider, { value: navigate },
+        jsx(ThemeContext.Provider, { value: tokens },
+            jsx(LocaleContext.Provider, { value: locale }, child)));
+
+await test('page sections should navigate through NavigationContext', () => {
+    const visited = [];
+    const container = createContainer();
+    render(withProviders({ navigate: page => visited.push(page) }, jsx(AboutPage)), container);
+    const button = [...container.querySelectorAll('button')].find(node => node.textContent === 'Join Our Journey');
+    button.click();
+    assertDeepEqual(visited, ['contact'], 'Navigation should reach the provided handler');
+    container.remove();
+});
+
+await test('page sections should take their styles from ThemeContext', () => {
+    const tokens = { ...theme, textPrimary: { color: 'rgb(1, 2, 3)' } };
+    const container = createContainer();
+    render(withProviders({ navigate: () => {}, tokens }, jsx(AboutPage)), container);
+    assertEqual(container.querySelector('h1').style.color, 'rgb(1, 2, 3)', 'Heading should use the provided theme');
+    container.remove();
+});
+
+await test('useLocale should read the nearest provider, even below a memoized component', async () => {
+    const Label = () => jsx('span', {}, useLocale());
+    const Frozen = memo(() => jsx(Label));
+    const view = locale => jsx(LocaleContext.Provider, { value: locale }, jsx('div', {}, [
+        jsx(Frozen),
+        jsx(LocaleContext.Provider, { value: 'fr' }, jsx(Label))
+    ]));
+    const container = createContainer();
+    render(view('en'), container);
+    assertEqual(container.textContent, 'enfr', 'Each consumer should read its nearest provider');
+
+    render(view('de'), container);
+    await tick();
+    assertEqual(container.textContent, 'defr', 'A provider change should reach consumers below memo');
+    container.remove();
+});
+
+await test('consumers outside a provider should get the default value', () => {
+    const container = createContainer();
+    render(jsx(() => jsx('span', {}, useLocale())), container);
+    assertEqual(container.textContent, 'en', 'Default locale');
+    container.remove();
+});
@@ -0,0 +1,62 @@
+// Lens tests: focused reads and immutable updates of nested state
+import { lens, prop, index, path, compose, just, view, preview, set, over } from '../../../src/systems/state/lens.js';
+import { createStore } from '../../../src/systems/state/store.js';
+import Maybe from '../../../src/core/types/maybe.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual } from '../test-helpers.js';
+
+console.log('🧪 Running lens tests...');
+
+const state = Object.freeze({
+    user: Object.freeze({ name: 'Ada', roles: Object.freeze(['admin', 'editor']) }),
+    settings: Object.freeze({ theme: 'dark' })
+});
+
+await test('view and preview should read the focus', () => {
+    assertEqual(view(path('user', 'roles', 1))(state), 'editor', 'Nested array item');
+    assertEqual(view(path('user', 'email'))(state), undefined, 'Missing field should be undefined');
+    assertEqual(preview(path('user', 'name'))(state).value, 'Ada', 'Present focus should be Just');
+    assertTruthy(Maybe.isNothing(preview(path('profile', 'bio'))(state)), 'Missing path should be Nothing');
+});
+
+await test('set and over should copy the path and never mutate the source', () => {
+    const renamed = set(path('user', 'name'), 'Grace')(state);
+    assertEqual(renamed.user.name, 'Grace', 'New value should be set');
+    assertEqual(state.user.name, 'Ada', 'Source should be unchanged');
+    assertTruthy(renamed.user !== state.user, 'Changed branch should be copied');
+    assertEqual(renamed.settings, state.settings, 'Untouched branches should keep their identity');
+
+    const appended = over(path('user', 'roles'), roles => [...roles, 'viewer'])(state);
+    assertDeepEqual(appended.user.roles, ['admin', 'editor', 'viewer'], 'over should apply the function');
+    assertDeepEqual(state.user.roles, ['admin', 'editor'], 'Source array should be unchanged');
+});
+
+await test('setting the current value should return the same object', () => {
+    assertEqual(set(path('user', 'name'), 'Ada')(state), state, 'No-op set should keep identity');
+    assertEqual(over(prop('settings'), settings => settings)(state), state, 'Identity over should keep identity');
+});
+
+await test('missing objects and arrays should be created along the path', () => {
+    assertDeepEqual(set(path('a', 0, 'b'), 1)({}), { a: [{ b: 1 }] }, 'Path should be built');
+    assertDeepEqual(set(index(2), 'c')(['a']), ['a', undefined, 'c'], 'Array should grow');
+    const upper = lens(text => text.toUpperCase(), (value, text) => value.toLowerCase());
+    assertEqual(view(compose(prop('word'), upper))({ word: 'hi' }), 'HI', 'Custom lenses should compose');
+});
+
+await test('just should focus inside a Maybe and leave Nothing alone', () => {
+    const pageLens = compose(just, prop('currentPage'));
+    const page = Maybe.Just({ currentPage: 'home' });
+    assertEqual(view(pageLens)(page), 'home', 'View through Just');
+    assertEqual(set(pageLens, 'about')(page).value.currentPage, 'about', 'Set through Just');
+    assertEqual(page.value.currentPage, 'home', 'Original Maybe should be unchanged');
+    const nothing = Maybe.Nothing();
+    assertEqual(set(pageLens, 'about')(nothing), nothing, 'Nothing should stay Nothing');
+});
+
+await test('lens updates should work with store.update', () => {
+    const store = createStore(state);
+    const seen = [];
+    store.subscribe(next => seen.push(next.settings.theme));
+    store.update(set(path('settings', 'theme'), 'light'));
+    assertDeepEqual(seen, ['light'], 'Subscribers should see the new state');
+    assertEqual(state.settings.theme, 'dark', 'Initial state should be unchanged');
+});
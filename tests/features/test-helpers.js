@@ -0,0 +1,44 @@
+// Shared helpers for the framework tests; run in the browser from tests/test-runner.html
+
+// Simple test runner for browser environment; await it so async tests run in order
+const test = async (name, testFn) => {
+    try {
+        await testFn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+};
+
+const assertEqual = (actual, expected, message) => {
+    if (actual !== expected) {
+        throw new Error(`${message}: expected ${expected}, got ${actual}`);
+    }
+};
+
+const assertTruthy = (actual, message) => {
+    if (!actual) {
+        throw new Error(`${message}: expected truthy value, got ${actual}`);
+    }
+};
+
+// Structural equality through JSON, enough for plain data
+const assertDeepEqual = (actual, expected, message) => {
+    const actualJSON = JSON.stringify(actual);
+    const expectedJSON = JSON.stringify(expected);
+    if (actualJSON !== expectedJSON) {
+        throw new Error(`${message}: expected ${expectedJSON}, got ${actualJSON}`);
+    }
+};
+
+// A fresh container attached to the document; remove it when the test is done
+const createContainer = () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    return container;
+};
+
+// Let queued microtasks and timers (hook updates, lazy loads) run
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+export { test, assertEqual, assertTruthy, assertDeepEqual, createContainer, tick };
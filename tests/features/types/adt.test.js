@@ -0,0 +1,67 @@
+// ADT tests: collection combinators, ap/orElse, conversions and tag guards for Maybe, Either and Result
+import Maybe from '../../../src/core/types/maybe.js';
+import Either from '../../../src/core/types/either.js';
+import Result from '../../../src/core/types/result.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual } from '../test-helpers.js';
+
+console.log('🧪 Running ADT tests...');
+
+const parse = text => Number.isNaN(Number(text)) ? Either.Left(`Not a number: ${text}`) : Either.Right(Number(text));
+
+await test('traverse and sequence should collect values or stop at the first failure', () => {
+    assertDeepEqual(Either.traverse(parse)(['1', '2']).value, [1, 2], 'All Right should collect values');
+    assertEqual(Either.traverse(parse)(['1', 'x', 'y']).value, 'Not a number: x', 'First Left should be returned');
+
+    let calls = 0;
+    Either.traverse(text => { calls++; return parse(text); })(['x', '1']);
+    assertEqual(calls, 1, 'Items after the first failure should not be visited');
+
+    assertDeepEqual(Maybe.sequence([Maybe.Just(1), Maybe.Just(2)]).value, [1, 2], 'Just values should be collected');
+    assertTruthy(Maybe.isNothing(Maybe.sequence([Maybe.Just(1), Maybe.Nothing()])), 'Nothing should win');
+    assertDeepEqual(Result.sequence([]).value, [], 'Empty input should succeed with no values');
+});
+
+await test('traverse should turn thrown errors and foreign values into failures', () => {
+    const thrown = Result.traverse(() => { throw new Error('boom'); })([1]);
+    assertTruthy(Result.isError(thrown) && thrown.error.message === 'boom', 'Thrown error should become Error');
+    const foreign = Either.sequence([Either.Right(1), 2]);
+    assertTruthy(Either.isLeft(foreign), 'A value that is not an Either should fail');
+    assertEqual(foreign.value.message, 'Invalid either object', 'Failure should say why');
+});
+
+await test('all should keep the keys of an object', () => {
+    const collected = Result.all({ name: Result.Ok('Ada'), age: Result.Ok(36) });
+    assertDeepEqual(collected.value, { name: 'Ada', age: 36 }, 'Keys should be kept');
+    const failed = Result.all({ name: Result.Ok('Ada'), age: Result.Error('missing age') });
+    assertEqual(failed.error, 'missing age', 'First Error should be returned');
+    assertDeepEqual(Either.all([Either.Right(1)]).value, [1], 'Arrays should work like sequence');
+});
+
+await test('ap should apply a wrapped function and orElse should recover', () => {
+    const add = a => b => a + b;
+    assertEqual(Either.Right(add(1)).ap(Either.Right(2)).value, 3, 'Right function applied to Right');
+    assertEqual(Either.Right(add(1)).ap(Either.Left('no')).value, 'no', 'Left argument should pass through');
+    assertEqual(Maybe.Just(add(1)).ap(Maybe.Just(2)).value, 3, 'Just function applied to Just');
+    assertTruthy(Maybe.isNothing(Maybe.Nothing().ap(Maybe.Just(2))), 'Nothing function stays Nothing');
+
+    assertEqual(Either.Left('bad').orElse(() => 'fallback').value, 'fallback', 'Plain value should become Right');
+    assertEqual(Result.Error('bad').orElse(() => Result.Ok(1)).value, 1, 'Error should recover to Ok');
+    assertEqual(Maybe.Nothing().orElse(() => Maybe.Just(2)).value, 2, 'Nothing should recover to Just');
+    assertEqual(Result.Ok(1).orElse(() => Result.Ok(2)).value, 1, 'Success should be left alone');
+});
+
+await test('conversions should move values and errors between the types', () => {
+    assertEqual(Result.fromEither(Either.Left('e')).error, 'e', 'Left value becomes the error');
+    assertEqual(Either.fromResult(Result.Ok(1)).value, 1, 'Ok value becomes Right');
+    assertEqual(Either.fromMaybe(Maybe.Nothing(), 'absent').value, 'absent', 'Nothing becomes the given Left');
+    assertEqual(Result.fromMaybe(Maybe.Nothing()).error.message, 'Value is missing', 'Nothing becomes a default Error');
+    assertTruthy(Maybe.isNothing(Maybe.fromResult(Result.Error('e'))), 'Error becomes Nothing');
+    assertEqual(Maybe.fromEither(Either.Right(2)).value, 2, 'Right becomes Just');
+});
+
+await test('guards should check the tag and reject anything else', () => {
+    assertTruthy(Result.isOk(Result.Ok(1)) && !Result.isOk(Either.Right(1)), 'isOk should only accept Ok');
+    assertTruthy(Either.isLeft(Either.Left(1)) && !Either.isLeft(null), 'isLeft should reject null');
+    assertTruthy(Maybe.isJust(Maybe.Just(0)) && !Maybe.isJust({ type: 'Nothing' }), 'isJust should check the tag');
+    assertTruthy(!Result.isError('Error'), 'Strings are not Results');
+});
@@ -0,0 +1,53 @@
+// Schema tests: declarative shapes checked at the boundary, with path-based errors and defaults
+import Schema from '../../../src/core/types/schema.js';
+import Either from '../../../src/core/types/either.js';
+import Maybe from '../../../src/core/types/maybe.js';
+import { servicesContentSchema, getServicesContent } from '../../../src/features/services/functions.js';
+import { faqCategoriesSchema, getFAQCategoriesContent } from '../../../src/features/faqs/functions.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual } from '../test-helpers.js';
+
+console.log('🧪 Running schema tests...');
+
+const article = Schema.object({
+    title: Schema.string({ min: 1, max: 20 }),
+    rating: Schema.number({ min: 1, max: 5, integer: true }),
+    status: Schema.enum(['draft', 'published']),
+    tags: Schema.optional(Schema.array(Schema.string(), { max: 2 })),
+    featured: Schema.optional(Schema.boolean(), true),
+    id: Schema.union(Schema.string(), Schema.number())
+});
+
+await test('validate should return Right of the parsed value with optional fields filled in', () => {
+    const result = article.validate({ title: 'Hello', rating: 4, status: 'draft', id: 7, extra: 'kept' });
+    assertTruthy(Either.isRight(result), 'Valid data should pass');
+    assertDeepEqual(result.value, { title: 'Hello', rating: 4, status: 'draft', id: 7, extra: 'kept', tags: [], featured: true },
+        'Optional fields should get their defaults and unknown fields should be kept');
+});
+
+await test('validate should report every problem with its path', () => {
+    const result = article.validate({ title: '', rating: 4.5, status: 'gone', tags: ['a', 2, 'c'], id: true });
+    assertTruthy(Either.isLeft(result), 'Invalid data should fail');
+    assertDeepEqual(result.value, [
+        { path: 'title', message: 'must be at least 1 character' },
+        { path: 'rating', message: 'must be a whole number' },
+        { path: 'status', message: 'must be one of "draft", "published", got a string' },
+        { path: 'tags', message: 'must have at most 2 items' },
+        { path: 'tags.1', message: 'must be a string, got a number' },
+        { path: 'id', message: 'must be a string or a number, got a boolean' }
+    ], 'Every problem should be listed');
+    assertDeepEqual(Schema.string().validate(undefined).value, [{ path: '', message: 'is required' }], 'Missing value');
+});
+
+await test('defaults should infer a value matching the schema', () => {
+    assertDeepEqual(article.defaults(), { title: '', rating: 0, status: 'draft', tags: [], featured: true, id: '' }, 'Inferred defaults');
+    assertTruthy(Schema.optional(Schema.number(), undefined).defaults() === undefined, 'Explicit undefined should leave it missing');
+    assertTruthy(article.is({ title: 'A', rating: 1, status: 'published', id: 'x' }), 'is should accept valid data');
+    assertTruthy(!article.is(null), 'is should reject other types');
+});
+
+await test('page content should match its schema', () => {
+    assertTruthy(Maybe.isJust(getServicesContent()), 'Services content should pass');
+    assertTruthy(Maybe.isJust(getFAQCategoriesContent()), 'FAQ content should pass');
+    assertTruthy(Either.isLeft(servicesContentSchema.validate({ services: [{ id: 'x' }] })), 'Incomplete service should fail');
+    assertDeepEqual(faqCategoriesSchema.defaults(), { categories: [] }, 'FAQ defaults should be empty');
+});
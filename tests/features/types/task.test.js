@@ -0,0 +1,90 @@
+// Task tests: lazy async work that resolves with a Result and is cancelled through AbortSignal
+import Task from '../../../src/core/types/task.js';
+import Result from '../../../src/core/types/result.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual, tick } from '../test-helpers.js';
+
+console.log('🧪 Running task tests...');
+
+// A task that resolves with value after ms, recording in aborted if its signal fires first
+const delayed = (value, ms, aborted = []) => Task.tryPromise(signal => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        aborted.push(value);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+}));
+
+await test('a task should not start until run and should resolve with a Result', async () => {
+    let started = 0;
+    const task = Task.tryPromise(() => { started++; return 2; }).map(n => n * 3);
+    assertEqual(started, 0, 'Nothing should run before run()');
+    const result = await task.run();
+    assertEqual(started, 1, 'Computation should run once');
+    assertTruthy(Result.isOk(result), 'Result should be Ok');
+    assertEqual(result.value, 6, 'Mapped value');
+});
+
+await test('run should never reject: throws and rejections become Result.Error', async () => {
+    const thrown = await Task.tryPromise(() => { throw new Error('sync'); }).run();
+    const rejected = await Task.tryPromise(() => Promise.reject(new Error('async'))).run();
+    assertEqual(thrown.error.message, 'sync', 'Thrown error should become Error');
+    assertEqual(rejected.error.message, 'async', 'Rejection should become Error');
+
+    const recovered = await Task.fail('bad').orElse(error => `recovered from ${error}`).run();
+    assertEqual(recovered.value, 'recovered from bad', 'orElse should recover');
+    const chained = await Task.of(1).chain(n => Result.Ok(n + 1)).chain(n => Task.of(n * 10)).run();
+    assertEqual(chained.value, 20, 'chain should accept Results and Tasks');
+});
+
+await test('fromPromise should wrap a promise that is already running', async () => {
+    const resolved = await Task.fromPromise(Promise.resolve(5)).map(n => n + 1).run();
+    assertEqual(resolved.value, 6, 'Resolved promise should become Ok');
+    const rejected = await Task.fromPromise(Promise.reject(new Error('failed'))).run();
+    assertEqual(rejected.error.message, 'failed', 'Rejected promise should become Error');
+});
+
+await test('aborting the signal should settle the task with the abort reason', async () => {
+    const aborted = [];
+    const controller = new AbortController();
+    const pending = delayed('slow', 50, aborted).run(controller.signal);
+    await tick();
+    controller.abort(new Error('cancelled'));
+    const result = await pending;
+    assertEqual(result.error.message, 'cancelled', 'Abort reason should be the error');
+    assertDeepEqual(aborted, ['slow'], 'The work should see the abort');
+
+    const already = await Task.of(1).run(AbortSignal.abort());
+    assertEqual(already.error.name, 'AbortError', 'An aborted signal should fail at once');
+});
+
+await test('Task.all should collect values and abort the rest on the first failure', async () => {
+    const values = await Task.all({ a: delayed('a', 5), b: Task.of('b') }).run();
+    assertDeepEqual(values.value, { a: 'a', b: 'b' }, 'Object keys should be kept');
+
+    const aborted = [];
+    const failed = await Task.all([delayed('slow', 50, aborted), Task.fail('broken')]).run();
+    assertEqual(failed.error, 'broken', 'First failure should win');
+    assertDeepEqual(aborted, ['slow'], 'Tasks still running should be aborted');
+});
+
+await test('Task.race should settle with the first task and abort the others', async () => {
+    const aborted = [];
+    const winner = await Task.race([delayed('slow', 50, aborted), delayed('fast', 1, aborted)]).run();
+    assertEqual(winner.value, 'fast', 'First task to settle should win');
+    assertDeepEqual(aborted, ['slow'], 'Loser should be aborted');
+    assertTruthy(Result.isError(await Task.race([]).run()), 'An empty race should fail');
+});
+
+await test('timeout should fail with a TimeoutError and abort slow work', async () => {
+    const aborted = [];
+    const late = await delayed('slow', 50, aborted).timeout(5).run();
+    assertEqual(late.error.name, 'TimeoutError', 'Slow task should time out');
+    assertDeepEqual(aborted, ['slow'], 'Timed out work should be aborted');
+    const inTime = await delayed('quick', 1).timeout(50).run();
+    assertEqual(inTime.value, 'quick', 'Quick task should finish');
+});
@@ -0,0 +1,56 @@
+// Validation tests: every failure is collected, with the path of the field it belongs to
+import Validation from '../../../src/core/types/validation.js';
+import Either from '../../../src/core/types/either.js';
+import { validateContactForm } from '../../../src/features/contact/functions.js';
+import { test, assertEqual, assertTruthy, assertDeepEqual } from '../test-helpers.js';
+
+console.log('🧪 Running validation tests...');
+
+const signup = Validation.object({
+    name: [Validation.required(), Validation.length({ min: 2 })],
+    email: [Validation.required(), Validation.email()],
+    tags: Validation.array(Validation.check(tag => typeof tag === 'string', 'must be text'))
+});
+
+await test('Validation should collect every error instead of stopping at the first', () => {
+    const result = signup({ name: 'A', email: 'nope', tags: ['ok', 3, null] });
+    assertTruthy(Validation.isFailure(result), 'Invalid data should fail');
+    assertDeepEqual(result.errors, [
+        { path: 'name', message: 'must be at least 2 characters' },
+        { path: 'email', message: 'must be a valid email address' },
+        { path: 'tags.1', message: 'must be text' },
+        { path: 'tags.2', message: 'must be text' }
+    ], 'Every problem should be listed with its path');
+});
+
+await test('compose, all and ap should combine the errors of both sides', () => {
+    const strict = Validation.compose(Validation.check(v => v > 0, 'must be positive'), Validation.check(v => v % 2 === 0, 'must be even'));
+    assertDeepEqual(strict(-3).errors.map(error => error.message), ['must be positive', 'must be even'], 'compose should run every validator');
+
+    const all = Validation.all({ a: Validation.fail('a failed', 'a'), b: Validation.of(2), c: Validation.fail('c failed', 'c') });
+    assertDeepEqual(all.errors.map(error => error.path), ['a', 'c'], 'all should keep every failure');
+    assertDeepEqual(Validation.all({ a: Validation.of(1), b: Validation.of(2) }).value, { a: 1, b: 2 }, 'all should keep keys');
+
+    const ap = Validation.fail('left').ap(Validation.fail('right'));
+    assertDeepEqual(ap.errors.map(error => error.message), ['left', 'right'], 'ap should combine failures');
+});
+
+await test('fold should hand errors from the success callback to failureFn, like Either.fold', () => {
+    const folded = Validation.of(1).fold(errors => errors, () => { throw new Error('callback failed'); });
+    assertDeepEqual(folded, [{ path: '', message: 'callback failed' }], 'Thrown error should become a failure entry');
+    assertEqual(Either.Right(1).fold(error => error.message, () => { throw new Error('callback failed'); }), 'callback failed',
+        'Either.fold should behave the same way');
+    assertEqual(Validation.fail('bad').fold(errors => errors.length, () => 0), 1, 'Failure should fold its errors');
+});
+
+await test('Validation should convert to and from Either', () => {
+    assertDeepEqual(Validation.fail('bad', 'x').toEither().value, [{ path: 'x', message: 'bad' }], 'Failure becomes Left of errors');
+    assertEqual(Validation.of(1).toEither().value, 1, 'Success becomes Right');
+    assertDeepEqual(Validation.fromEither(Either.Left('missing'), 'name').errors, [{ path: 'name', message: 'missing' }], 'Left is labelled with the path');
+});
+
+await test('validateContactForm should report every problem with the form', () => {
+    const result = validateContactForm({ name: '', email: 'bad', phone: 'x', message: 'short' });
+    assertDeepEqual(result.errors.map(error => error.path), ['name', 'email', 'phone', 'message'], 'Every field should be reported');
+    assertTruthy(Validation.isSuccess(validateContactForm({ name: 'Ada', email: 'ada@example.com', phone: '', message: 'Hello there, team!' })), 'Valid form should pass');
+});